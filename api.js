@@ -0,0 +1,38 @@
+'use strict';
+
+module.exports = {
+
+  async searchStops({ homey, query }) {
+    return homey.app.api.searchLocations(query.query || '');
+  },
+
+  async getDepartures({ homey, query }) {
+    if (!query.stop) {
+      return [];
+    }
+    return homey.app.getApiDepartures(query.stop, parseInt(query.limit, 10) || undefined);
+  },
+
+  async getStatus({ homey }) {
+    return homey.app.getStatus();
+  },
+
+  async refreshStopAreas({ homey }) {
+    return homey.app.refreshStopAreas();
+  },
+
+  async getStopGroups({ homey }) {
+    return homey.app.api.groups.getAll();
+  },
+
+  async addStopToGroup({ homey, body }) {
+    await homey.app.addStopToGroup(body.group, body.stop, body.walk_minutes);
+    return homey.app.api.groups.getAll();
+  },
+
+  async removeStopFromGroup({ homey, query }) {
+    homey.app.api.groups.removeStop(query.group, query.stop);
+    return homey.app.api.groups.getAll();
+  },
+
+};
@@ -2,28 +2,66 @@
 
 const Homey = require('homey');
 const OVApi = require('./lib/9292Api');
+const JourneyPlanner = require('./lib/JourneyPlanner');
+const DepartureScheduler = require('./lib/DepartureScheduler');
+const DepartureSummary = require('./lib/DepartureSummary');
+const TriggeredDepartures = require('./lib/TriggeredDepartures');
+const DelayTracker = require('./lib/DelayTracker');
+const ActiveWindow = require('./lib/ActiveWindow');
+const PunctualityHistory = require('./lib/PunctualityHistory');
+const AmsterdamTime = require('./lib/AmsterdamTime');
 
-const POLL_INTERVAL = 30 * 1000; // 30 seconds
+const TIMING_POINT_EXPANSION = 3; // Station results that also list their stops
+const REQUESTED_STOP_TTL = 5 * 60 * 1000; // Keep polling widget and Web API stops this long after a request
+const MAX_REQUESTED_STOPS = 20; // Widget and Web API stops polled at once, least recently requested are dropped
+const POLL_MARGIN = 30 * 1000; // Time a poll may take, on top of the poll interval
+const DISRUPTION_REFRESH = 30 * 60 * 1000; // Extend fired messages without an end when they expire within this time
+const VEHICLE_CHECK_LIMIT = 3; // Upcoming matching departures whose vehicle is followed
+const HOLIDAY_MODE_SETTING = 'holidayMode';
+const USUALLY_LATE_DAYS = 28; // History used by the "usually late" condition
+const USUALLY_LATE_MIN_DEPARTURES = 3; // Fewer recorded departures in the hour never count as usually late
+const LIST_TOKEN_COUNT = 5; // Departures with numbered tokens in the departure list action
 
 module.exports = class OVApp extends Homey.App {
 
   async onInit() {
     this.log('9292 OV app has been initialized');
 
-    // Initialize API client
-    this.api = new OVApi(this.homey);
+    // Initialize API client, optionally against another server set in env.json
+    this.api = new OVApi(this.homey, {
+      baseUrl: Homey.env?.OVAPI_BASE_URL,
+      nsBaseUrl: Homey.env?.NS_API_BASE_URL,
+    });
+    this.planner = new JourneyPlanner(this.api);
+    this.summary = new DepartureSummary(this.homey, this.api);
 
-    // Track triggered departures to support "once" mode
-    this.triggeredDepartures = {
-      soon: new Set(),
-      delayed: new Set(),
-    };
+    // Track triggered departures to support "once" mode, restored from settings
+    this.triggeredDepartures = new TriggeredDepartures(this.homey);
+
+    // Track delays across polls for the delay change triggers
+    this.delayTracker = new DelayTracker();
+    this.history = new PunctualityHistory(this.homey);
+
+    // Stops shown on dashboard widgets or asked for through the Web API, with
+    // the time they were last requested
+    this.requestedStopIds = new Map();
+
+    // Whether the OV API was available at the last poll, for the availability triggers
+    this.dataAvailable = true;
+    this.unavailableSince = null;
 
     // Register flow cards
     await this._registerFlowCards();
 
-    // Start polling for triggers
-    this._startPolling();
+    // Register dashboard widget settings
+    this._registerWidgets();
+
+    // Start polling for triggers and devices
+    this.scheduler = new DepartureScheduler(this.homey, this.api, {
+      getStopIds: () => this._getWatchedStopIds(),
+      onPoll: () => this._poll(),
+    });
+    this.scheduler.start();
 
     // Pre-fetch stop areas in the background
     this.api.getAllStopAreas().catch(err => {
@@ -37,43 +75,145 @@ module.exports = class OVApp extends Homey.App {
     // Departure soon trigger
     this.departureSoonTrigger = this.homey.flow.getTriggerCard('departure_soon');
     this._registerStationAutocomplete(this.departureSoonTrigger);
-    this._registerDestinationAutocomplete(this.departureSoonTrigger);
+    this._registerDepartureFilterAutocomplete(this.departureSoonTrigger);
     this.departureSoonTrigger.registerRunListener(async (args, state) => {
       // Match the trigger state with the configured flow arguments
       if (args.station?.id !== state.stationId) return false;
-      if (args.destination?.name && state.destination) {
-        if (!state.destination.toLowerCase().includes(args.destination.name.toLowerCase())) {
-          return false;
-        }
-      }
-      return true;
+      if (!this._isActive(args)) return false;
+      return this._matchesDeparture(args, state);
     });
 
     // Departure delayed trigger
     this.departureDelayedTrigger = this.homey.flow.getTriggerCard('departure_delayed');
     this._registerStationAutocomplete(this.departureDelayedTrigger);
-    this._registerDestinationAutocomplete(this.departureDelayedTrigger);
+    this._registerDepartureFilterAutocomplete(this.departureDelayedTrigger);
     this.departureDelayedTrigger.registerRunListener(async (args, state) => {
       // Match the trigger state with the configured flow arguments
       if (args.station?.id !== state.stationId) return false;
-      if (args.destination?.name && state.destination) {
-        if (!state.destination.toLowerCase().includes(args.destination.name.toLowerCase())) {
-          return false;
-        }
+      if (!this._isActive(args)) return false;
+
+      // A re-armed trigger only runs flows whose re-arm threshold is reached
+      if (state.previousDelay !== undefined) {
+        const rearmMinutes = args.rearm_minutes || 0;
+        if (rearmMinutes === 0 || state.delay - state.previousDelay < rearmMinutes) return false;
       }
-      return true;
+
+      return this._matchesDeparture(args, state);
+    });
+
+    // Departure cancelled trigger
+    this.departureCancelledTrigger = this.homey.flow.getTriggerCard('departure_cancelled');
+    this._registerStationAutocomplete(this.departureCancelledTrigger);
+    this._registerDepartureFilterAutocomplete(this.departureCancelledTrigger);
+    this.departureCancelledTrigger.registerRunListener(async (args, state) => {
+      // Match the trigger state with the configured flow arguments
+      if (args.station?.id !== state.stationId) return false;
+      if (!this._isActive(args)) return false;
+      return this._matchesDeparture(args, state);
+    });
+
+    // Delay increased trigger
+    this.delayIncreasedTrigger = this.homey.flow.getTriggerCard('delay_increased');
+    this._registerStationAutocomplete(this.delayIncreasedTrigger);
+    this._registerDepartureFilterAutocomplete(this.delayIncreasedTrigger);
+    this.delayIncreasedTrigger.registerRunListener(async (args, state) => {
+      // Match the trigger state with the configured flow arguments
+      if (args.station?.id !== state.stationId) return false;
+      // Flows with another number of minutes fire at their own increase
+      if ((args.minutes || 1) !== state.minutes) return false;
+      return this._matchesDeparture(args, state);
+    });
+
+    // Back on time trigger
+    this.backOnTimeTrigger = this.homey.flow.getTriggerCard('departure_back_on_time');
+    this._registerStationAutocomplete(this.backOnTimeTrigger);
+    this._registerDepartureFilterAutocomplete(this.backOnTimeTrigger);
+    this.backOnTimeTrigger.registerRunListener(async (args, state) => {
+      // Match the trigger state with the configured flow arguments
+      if (args.station?.id !== state.stationId) return false;
+      return this._matchesDeparture(args, state);
+    });
+
+    // Expected time changed trigger
+    this.expectedTimeChangedTrigger = this.homey.flow.getTriggerCard('expected_time_changed');
+    this._registerStationAutocomplete(this.expectedTimeChangedTrigger);
+    this._registerDepartureFilterAutocomplete(this.expectedTimeChangedTrigger);
+    this.expectedTimeChangedTrigger.registerRunListener(async (args, state) => {
+      // Match the trigger state with the configured flow arguments
+      if (args.station?.id !== state.stationId) return false;
+      return this._matchesDeparture(args, state);
     });
 
+    // Time to leave trigger
+    this.timeToLeaveTrigger = this.homey.flow.getTriggerCard('time_to_leave');
+    this._registerStationAutocomplete(this.timeToLeaveTrigger, 'from');
+    this._registerStationAutocomplete(this.timeToLeaveTrigger, 'to');
+    this.timeToLeaveTrigger.registerRunListener(async (args, state) => {
+      // Match the trigger state with the configured flow arguments
+      if (args.from?.id !== state.fromId || args.to?.id !== state.toId) return false;
+      // Flows on the same route with other settings fire for their own journeys
+      return (args.minutes || 0) === state.minutes
+        && (args.walking_minutes || 0) === state.walkingMinutes
+        && (args.arrive_by || '') === state.arriveBy
+        && args.trigger_mode === state.triggerMode;
+    });
+
+    // New disruption trigger
+    this.newDisruptionTrigger = this.homey.flow.getTriggerCard('new_disruption');
+    this._registerStationAutocomplete(this.newDisruptionTrigger);
+    this.newDisruptionTrigger.registerRunListener(async (args, state) => {
+      return args.station?.id === state.stationId;
+    });
+
+    // Platform changed trigger
+    this.platformChangedTrigger = this.homey.flow.getTriggerCard('platform_changed');
+    this._registerStationAutocomplete(this.platformChangedTrigger);
+    this._registerDepartureFilterAutocomplete(this.platformChangedTrigger);
+    this.platformChangedTrigger.registerRunListener(async (args, state) => {
+      // Match the trigger state with the configured flow arguments
+      if (args.station?.id !== state.stationId) return false;
+      return this._matchesDeparture(args, state);
+    });
+
+    // Vehicle within stops trigger
+    this.vehicleWithinStopsTrigger = this.homey.flow.getTriggerCard('vehicle_within_stops');
+    this._registerStationAutocomplete(this.vehicleWithinStopsTrigger);
+    this._registerDepartureFilterAutocomplete(this.vehicleWithinStopsTrigger);
+    this.vehicleWithinStopsTrigger.registerRunListener(async (args, state) => {
+      // Match the trigger state with the configured flow arguments
+      if (args.station?.id !== state.stationId) return false;
+      // Flows with another number of stops fire at their own distance
+      if ((args.stops ?? 1) !== state.maxStops) return false;
+      return this._matchesDeparture(args, state);
+    });
+
+    // Arriving soon trigger
+    this.arrivingSoonTrigger = this.homey.flow.getTriggerCard('arriving_soon');
+    this._registerStationAutocomplete(this.arrivingSoonTrigger);
+    this._registerStationAutocomplete(this.arrivingSoonTrigger, 'origin', { groups: true });
+    this._registerLineAutocomplete(this.arrivingSoonTrigger);
+    this.arrivingSoonTrigger.registerRunListener(async (args, state) => {
+      // Match the trigger state with the configured flow arguments
+      if (args.station?.id !== state.stationId || args.origin?.id !== state.originId) return false;
+      // Flows with another number of minutes fire at their own time
+      if (args.minutes !== state.minutes) return false;
+      return this._matchesDeparture(args, state);
+    });
+
+    // Data availability triggers
+    this.dataUnavailableTrigger = this.homey.flow.getTriggerCard('data_unavailable');
+    this.dataAvailableTrigger = this.homey.flow.getTriggerCard('data_available');
+
     // ===== CONDITIONS =====
 
     // Next departure matches condition
     const nextDepartureIsCondition = this.homey.flow.getConditionCard('next_departure_is');
     this._registerStationAutocomplete(nextDepartureIsCondition);
     nextDepartureIsCondition.registerRunListener(async (args) => {
-      const departures = await this.api.getDepartures(args.station.id);
-      if (departures.length === 0) return false;
+      const departures = await this.api.getDepartures(args.station.id, 50);
+      const next = departures[this._getIndex(args)];
+      if (!next) return false;
 
-      const next = departures[0];
       const matchValue = (args.match_value || '').toLowerCase();
 
       if (args.match_type === 'line') {
@@ -85,17 +225,55 @@ module.exports = class OVApp extends Homey.App {
       return false;
     });
 
+    // Number of departures within minutes condition
+    const departureCountCondition = this.homey.flow.getConditionCard('departure_count_within_minutes');
+    this._registerStationAutocomplete(departureCountCondition);
+    this._registerDepartureFilterAutocomplete(departureCountCondition);
+    departureCountCondition.registerRunListener(async (args) => {
+      const departures = await this.api.getDepartures(args.station.id, 50);
+      const count = departures
+        .filter(dep => this._matchesDeparture(args, dep) && this.api.getMinutesUntil(dep) <= args.minutes)
+        .length;
+      return count >= (args.count || 1);
+    });
+
+    // Vehicle within stops condition
+    const vehicleWithinStopsCondition = this.homey.flow.getConditionCard('vehicle_is_within_stops');
+    this._registerStationAutocomplete(vehicleWithinStopsCondition);
+    this._registerDepartureFilterAutocomplete(vehicleWithinStopsCondition);
+    vehicleWithinStopsCondition.registerRunListener(async (args) => {
+      const vehicles = await this._getApproachingVehicles(args);
+      return vehicles.some(({ vehicle }) => vehicle.stops_away <= (args.stops ?? 1));
+    });
+
+    // Holiday mode condition
+    const holidayModeCondition = this.homey.flow.getConditionCard('holiday_mode_is_on');
+    holidayModeCondition.registerRunListener(async () => this._isHolidayMode());
+
+    // Usually late condition
+    const usuallyLateCondition = this.homey.flow.getConditionCard('usually_late');
+    this._registerStationAutocomplete(usuallyLateCondition);
+    this._registerLineAutocomplete(usuallyLateCondition);
+    usuallyLateCondition.registerRunListener(async (args) => {
+      const stats = this.history.getStats(this.api.groups.expand([args.station.id]), args.line?.name, {
+        days: USUALLY_LATE_DAYS,
+        hour: Math.floor(AmsterdamTime.getDayTime(Date.now()).minutes / 60),
+      });
+      if (stats.delays.length < USUALLY_LATE_MIN_DEPARTURES) return false;
+
+      const late = stats.delays.filter(delay => delay > args.minutes).length;
+      return late > stats.delays.length / 2;
+    });
+
     // Departure within minutes condition
     const departureWithinCondition = this.homey.flow.getConditionCard('departure_within_minutes');
     this._registerStationAutocomplete(departureWithinCondition);
-    this._registerDestinationAutocomplete(departureWithinCondition);
+    this._registerDepartureFilterAutocomplete(departureWithinCondition);
     departureWithinCondition.registerRunListener(async (args) => {
       const departures = await this.api.getDepartures(args.station.id);
-      const destinationLower = (args.destination?.name || '').toLowerCase();
-
       for (const dep of departures) {
-        // Check destination match if specified
-        if (destinationLower && !dep.destination.toLowerCase().includes(destinationLower)) {
+        // Check destination, line and transport type if specified
+        if (!this._matchesDeparture(args, dep)) {
           continue;
         }
 
@@ -110,14 +288,12 @@ module.exports = class OVApp extends Homey.App {
     // Is delayed condition
     const isDelayedCondition = this.homey.flow.getConditionCard('is_delayed');
     this._registerStationAutocomplete(isDelayedCondition);
-    this._registerDestinationAutocomplete(isDelayedCondition);
+    this._registerDepartureFilterAutocomplete(isDelayedCondition);
     isDelayedCondition.registerRunListener(async (args) => {
       const departures = await this.api.getDepartures(args.station.id);
-      const destinationLower = (args.destination?.name || '').toLowerCase();
-
       for (const dep of departures) {
-        // Check destination match if specified
-        if (destinationLower && !dep.destination.toLowerCase().includes(destinationLower)) {
+        // Check destination, line and transport type if specified
+        if (!this._matchesDeparture(args, dep)) {
           continue;
         }
 
@@ -128,24 +304,58 @@ module.exports = class OVApp extends Homey.App {
       return false;
     });
 
+    // Is cancelled condition
+    const isCancelledCondition = this.homey.flow.getConditionCard('is_cancelled');
+    this._registerStationAutocomplete(isCancelledCondition);
+    this._registerDepartureFilterAutocomplete(isCancelledCondition);
+    isCancelledCondition.registerRunListener(async (args) => {
+      const departures = await this.api.getDepartures(args.station.id, 50, { includeCancelled: true });
+      for (const dep of departures) {
+        // Check destination, line and transport type if specified
+        if (!this._matchesDeparture(args, dep)) {
+          continue;
+        }
+
+        if (dep.status === 'cancelled' && this.api.getMinutesUntil(dep) <= args.minutes) {
+          return true;
+        }
+      }
+      return false;
+    });
+
+    // Stop has active disruption condition
+    const hasDisruptionCondition = this.homey.flow.getConditionCard('has_disruption');
+    this._registerStationAutocomplete(hasDisruptionCondition);
+    hasDisruptionCondition.registerRunListener(async (args) => {
+      const messages = await this.api.getMessages(args.station.id);
+      return messages.length > 0;
+    });
+
+    // Data is fresh condition
+    const dataIsFreshCondition = this.homey.flow.getConditionCard('data_is_fresh');
+    this._registerStationAutocomplete(dataIsFreshCondition);
+    dataIsFreshCondition.registerRunListener(async (args) => {
+      try {
+        // Fetches new data when the cached departures are outdated
+        await this.api.getDepartures(args.station.id);
+      } catch (error) {
+        return false;
+      }
+
+      const age = this.api.getDataAge(args.station.id);
+      return age !== null && age <= args.minutes * 60;
+    });
+
     // ===== ACTIONS =====
 
     // Get departure info action
     const getDepartureInfoAction = this.homey.flow.getActionCard('get_departure_info');
     this._registerStationAutocomplete(getDepartureInfoAction);
-    this._registerDestinationAutocomplete(getDepartureInfoAction);
+    this._registerDepartureFilterAutocomplete(getDepartureInfoAction);
     getDepartureInfoAction.registerRunListener(async (args) => {
-      const departures = await this.api.getDepartures(args.station.id);
-      const destinationLower = (args.destination?.name || '').toLowerCase();
-
-      let departure = departures[0];
-
-      // If destination specified, find matching departure
-      if (destinationLower) {
-        departure = departures.find(dep =>
-          dep.destination.toLowerCase().includes(destinationLower)
-        );
-      }
+      const departures = await this.api.getDepartures(args.station.id, 50);
+      // Find the nth departure matching the destination, line and transport type
+      const departure = departures.filter(dep => this._matchesDeparture(args, dep))[this._getIndex(args)];
 
       if (!departure) {
         return {
@@ -156,6 +366,8 @@ module.exports = class OVApp extends Homey.App {
           planned_time: '',
           expected_time: '',
           transport_type: '',
+          status: '',
+          data_age_seconds: this._getDataAge(args.station.id),
         };
       }
 
@@ -167,18 +379,209 @@ module.exports = class OVApp extends Homey.App {
         planned_time: departure.planned_time,
         expected_time: departure.expected_time,
         transport_type: departure.transport_type,
+        status: departure.status,
+        data_age_seconds: this._getDataAge(args.station.id),
+      };
+    });
+
+    // Get departure summary action
+    const getDepartureSummaryAction = this.homey.flow.getActionCard('get_departure_summary');
+    this._registerStationAutocomplete(getDepartureSummaryAction);
+    this._registerDepartureFilterAutocomplete(getDepartureSummaryAction);
+    getDepartureSummaryAction.registerRunListener(async (args) => {
+      const departures = (await this.api.getDepartures(args.station.id, 50, { includeCancelled: true }))
+        .filter(dep => this._matchesDeparture(args, dep))
+        .slice(0, args.count || 3);
+
+      return {
+        summary: this.summary.build(departures),
+        data_age_seconds: this._getDataAge(args.station.id),
+        departures_json: JSON.stringify(departures.map(dep => ({
+          line: dep.line,
+          destination: dep.destination,
+          minutes_until: this.api.getMinutesUntil(dep),
+          delay_minutes: dep.delay_minutes,
+          planned_time: dep.planned_time,
+          expected_time: dep.expected_time,
+          status: dep.status,
+          transport_type: dep.transport_type,
+        }))),
+      };
+    });
+
+    // Get departure list action
+    const getDepartureListAction = this.homey.flow.getActionCard('get_departure_list');
+    this._registerStationAutocomplete(getDepartureListAction);
+    this._registerDepartureFilterAutocomplete(getDepartureListAction);
+    getDepartureListAction.registerRunListener(async (args) => {
+      const departures = (await this.api.getDepartures(args.station.id, 50))
+        .filter(dep => this._matchesDeparture(args, dep))
+        .slice(0, args.count || 3);
+
+      const tokens = {
+        count: departures.length,
+        data_age_seconds: this._getDataAge(args.station.id),
+        departures_json: JSON.stringify(departures.map(dep => ({
+          line: dep.line,
+          destination: dep.destination,
+          minutes_until: this.api.getMinutesUntil(dep),
+          delay_minutes: dep.delay_minutes,
+          planned_time: dep.planned_time,
+          expected_time: dep.expected_time,
+          status: dep.status,
+          transport_type: dep.transport_type,
+          platform: dep.platform,
+        }))),
+      };
+
+      // Numbered tokens for the first departures, empty when there are fewer
+      for (let i = 0; i < LIST_TOKEN_COUNT; i++) {
+        const dep = departures[i];
+        tokens[`line_${i + 1}`] = dep ? dep.line : '';
+        tokens[`destination_${i + 1}`] = dep ? dep.destination : '';
+        tokens[`minutes_until_${i + 1}`] = dep ? this.api.getMinutesUntil(dep) : 0;
+        tokens[`expected_time_${i + 1}`] = dep ? dep.expected_time : '';
+      }
+
+      return tokens;
+    });
+
+    // Get arrival info action
+    const getArrivalInfoAction = this.homey.flow.getActionCard('get_arrival_info');
+    this._registerStationAutocomplete(getArrivalInfoAction);
+    this._registerStationAutocomplete(getArrivalInfoAction, 'origin', { groups: true });
+    this._registerLineAutocomplete(getArrivalInfoAction);
+    getArrivalInfoAction.registerRunListener(async (args) => {
+      const [arrival] = await this.api.getArrivalsFrom(args.station.id, args.origin.id,
+        dep => this._matchesDeparture(args, dep));
+
+      return this._getArrivalTokens(arrival, args.station.id);
+    });
+
+    // Holiday mode action
+    const setHolidayModeAction = this.homey.flow.getActionCard('set_holiday_mode');
+    setHolidayModeAction.registerRunListener(async (args) => {
+      this.homey.settings.set(HOLIDAY_MODE_SETTING, args.mode === 'on');
+    });
+
+    // Punctuality stats action
+    const getPunctualityStatsAction = this.homey.flow.getActionCard('get_punctuality_stats');
+    this._registerStationAutocomplete(getPunctualityStatsAction);
+    this._registerLineAutocomplete(getPunctualityStatsAction);
+    getPunctualityStatsAction.registerRunListener(async (args) => {
+      const stats = this.history.getStats(this.api.groups.expand([args.station.id]), args.line?.name, {
+        days: args.days || 7,
+      });
+
+      return {
+        departure_count: stats.count,
+        average_delay: stats.average_delay,
+        on_time_percentage: stats.on_time_percentage,
+        cancelled_count: stats.cancelled,
       };
     });
+
+    // Plan journey action
+    const planJourneyAction = this.homey.flow.getActionCard('plan_journey');
+    this._registerStationAutocomplete(planJourneyAction, 'from');
+    this._registerStationAutocomplete(planJourneyAction, 'to');
+    planJourneyAction.registerRunListener(async (args) => {
+      const journeys = await this.planner.plan(args.from.id, args.to.id, {
+        walkingMinutes: args.walking_minutes || 0,
+        arriveBy: this.api.parseTimeOfDay(args.arrive_by),
+      });
+      const journey = journeys[0];
+
+      if (!journey) {
+        return {
+          leave_time: '',
+          departure_time: '',
+          arrival_time: '',
+          minutes_until_leave: 0,
+          transfers: 0,
+          legs: '',
+          data_age_seconds: this._getDataAge(args.from.id),
+        };
+      }
+
+      return this._getJourneyTokens(journey, args.from.id);
+    });
+
+    // Stop group actions
+    const addStopToGroupAction = this.homey.flow.getActionCard('add_stop_to_group');
+    this._registerStationAutocomplete(addStopToGroupAction, 'station', { groups: false });
+    addStopToGroupAction.registerRunListener(async (args) => {
+      await this.addStopToGroup(args.group, args.station, args.walk_minutes);
+    });
+
+    const removeStopFromGroupAction = this.homey.flow.getActionCard('remove_stop_from_group');
+    removeStopFromGroupAction.registerArgumentAutocompleteListener('group', async (query) => {
+      return this.api.groups.search(query);
+    });
+    removeStopFromGroupAction.registerArgumentAutocompleteListener('station', async (query, args) => {
+      const queryLower = (query || '').toLowerCase();
+      return (this.api.groups.get(args.group?.id)?.stops || [])
+        .filter(stop => stop.name.toLowerCase().includes(queryLower))
+        .map(stop => ({ id: stop.id, name: stop.name }));
+    });
+    removeStopFromGroupAction.registerRunListener(async (args) => {
+      this.api.groups.removeStop(args.group.id, args.station.id);
+    });
   }
 
-  _registerStationAutocomplete(flowCard) {
-    flowCard.registerArgumentAutocompleteListener('station', async (query) => {
-      const results = await this.api.searchLocations(query);
-      return results;
+  _registerWidgets() {
+    const departuresWidget = this.homey.dashboards.getWidget('departures');
+    for (const setting of ['stop1', 'stop2', 'stop3']) {
+      departuresWidget.registerSettingAutocompleteListener(setting, async (query) => {
+        return this.api.searchLocations(query);
+      });
+    }
+  }
+
+  /**
+   * Journeys are planned between single stops, so the `from` and `to`
+   * arguments don't offer stop groups.
+   */
+  _registerStationAutocomplete(flowCard, argumentName = 'station', { groups = argumentName === 'station' } = {}) {
+    flowCard.registerArgumentAutocompleteListener(argumentName, async (query) => {
+      const results = (await this.api.searchLocations(query))
+        .filter(result => groups || !this.api.groups.isGroup(result.id));
+
+      // Offer the individual stops (platform or direction) of the best matches
+      const expanded = [];
+      for (const [index, stopArea] of results.entries()) {
+        expanded.push(stopArea);
+        if (index >= TIMING_POINT_EXPANSION) continue;
+
+        const timingPoints = await this.api.getTimingPoints(stopArea.id);
+        if (timingPoints.length < 2) continue;
+
+        for (const timingPoint of timingPoints) {
+          const direction = timingPoint.destinations.slice(0, 3).join(', ');
+          expanded.push({
+            id: timingPoint.id,
+            name: direction ? `${timingPoint.name} → ${direction}` : timingPoint.name,
+            description: this.homey.__('autocomplete.timing_point', {
+              town: timingPoint.town,
+              code: timingPoint.code,
+            }),
+          });
+        }
+      }
+
+      return expanded;
     });
   }
 
-  _registerDestinationAutocomplete(flowCard) {
+  /**
+   * Get the zero-based position from an `index` argument. Flows created
+   * before the argument existed use the next departure.
+   */
+  _getIndex(args) {
+    return Math.max(1, parseInt(args.index, 10) || 1) - 1;
+  }
+
+  _registerDepartureFilterAutocomplete(flowCard) {
     flowCard.registerArgumentAutocompleteListener('destination', async (query, args) => {
       // If no station selected yet, return empty
       if (!args.station?.id) {
@@ -191,52 +594,310 @@ module.exports = class OVApp extends Homey.App {
       // Filter by query if provided
       if (query && query.length > 0) {
         const queryLower = query.toLowerCase();
-        return destinations.filter(d =>
+        const results = destinations.filter(d =>
           d.name.toLowerCase().includes(queryLower)
         );
+
+        // Offer the query itself for matching every destination containing it
+        if (!results.some(d => d.name.toLowerCase() === queryLower)) {
+          results.unshift({
+            name: query,
+            description: this.homey.__('autocomplete.contains'),
+          });
+        }
+        return results;
       }
 
       return destinations;
     });
+
+    this._registerLineAutocomplete(flowCard);
+  }
+
+  _registerLineAutocomplete(flowCard) {
+    flowCard.registerArgumentAutocompleteListener('line', async (query, args) => {
+      // If no station selected yet, return empty
+      if (!args.station?.id) {
+        return [];
+      }
+
+      // Get lines for this station
+      const lines = await this.api.getLines(args.station.id);
+
+      // Filter by query if provided
+      if (query && query.length > 0) {
+        const queryLower = query.toLowerCase();
+        return lines.filter(l =>
+          l.name.toLowerCase().startsWith(queryLower)
+        );
+      }
+
+      return lines;
+    });
+  }
+
+  _isHolidayMode() {
+    return Boolean(this.homey.settings.get(HOLIDAY_MODE_SETTING));
+  }
+
+  /**
+   * Check whether a departure trigger instance should be evaluated now: not
+   * in holiday mode, and within its optional active window.
+   */
+  _isActive(args) {
+    return !this._isHolidayMode() && ActiveWindow.isActive(args);
+  }
+
+  /**
+   * Check a departure against the optional destination, line and transport
+   * type arguments of a flow card.
+   * Destinations picked from the autocomplete match exactly, the typed
+   * "contains" entry (and flows saved before exact matching) match on substring.
+   */
+  _matchesDeparture(args, dep) {
+    if (args.destination?.name) {
+      const destinationLower = args.destination.name.toLowerCase();
+      const depDestinationLower = (dep.destination || '').toLowerCase();
+
+      if (args.destination.exact
+        ? depDestinationLower !== destinationLower
+        : !depDestinationLower.includes(destinationLower)) {
+        return false;
+      }
+    }
+
+    if (args.line?.name && (dep.line || '').toLowerCase() !== args.line.name.toLowerCase()) {
+      return false;
+    }
+
+    if (args.transport_type && args.transport_type !== 'any' && dep.transport_type !== args.transport_type) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Collect the stops used by trigger instances and stop devices.
+   */
+  async _getWatchedStopIds() {
+    const stopIds = [];
+
+    // Triggers that are paused or outside their active window don't need polling
+    for (const trigger of [this.departureSoonTrigger, this.departureDelayedTrigger, this.departureCancelledTrigger, this.platformChangedTrigger, this.vehicleWithinStopsTrigger, this.arrivingSoonTrigger]) {
+      for (const args of await trigger.getArgumentValues()) {
+        if (this._isActive(args)) stopIds.push(args.station?.id);
+      }
+    }
+
+    for (const args of await this.newDisruptionTrigger.getArgumentValues()) {
+      stopIds.push(args.station?.id);
+    }
+
+    for (const args of await this.timeToLeaveTrigger.getArgumentValues()) {
+      if (this._isActive(args)) stopIds.push(args.from?.id, args.to?.id);
+    }
+
+    stopIds.push(...await this._getDelayChangeStopIds());
+
+    for (const device of this._getStopDevices()) {
+      stopIds.push(device.getData().id);
+    }
+
+    // Widget and Web API stops, until nobody has asked for them for a while
+    const requestExpiry = Date.now() - REQUESTED_STOP_TTL;
+    for (const [stopId, requested] of this.requestedStopIds) {
+      if (requested < requestExpiry) {
+        this.requestedStopIds.delete(stopId);
+      } else {
+        stopIds.push(stopId);
+      }
+    }
+
+    // Stop groups are polled as their stops
+    return this.api.groups.expand(stopIds);
+  }
+
+  _getStopDevices() {
+    try {
+      return this.homey.drivers.getDriver('stop').getDevices();
+    } catch (error) {
+      // Driver not ready yet
+      return [];
+    }
+  }
+
+  async _poll() {
+    await this._checkTriggers();
+    await this._checkDataAvailability();
+    await this._recordPunctuality();
+
+    for (const device of this._getStopDevices()) {
+      await device.refresh();
+    }
   }
 
-  _startPolling() {
-    this.pollInterval = this.homey.setInterval(async () => {
-      await this._checkTriggers();
-    }, POLL_INTERVAL);
+  /**
+   * Record the final delays of departures that left the polled stops, with
+   * an Insights entry per stop and line.
+   */
+  async _recordPunctuality() {
+    try {
+      for (const stopId of this.scheduler?.stopIds || []) {
+        let departures;
+        try {
+          departures = await this.api.getDepartures(stopId, 50, { includeCancelled: true });
+        } catch (error) {
+          // No data for this stop, its departures are recorded once it is back
+          continue;
+        }
+
+        for (const entry of this.history.observe(stopId, departures)) {
+          if (!entry.cancelled) await this._logDelay(entry);
+        }
+      }
+
+      this.history.cleanup();
+      this.history.save();
+    } catch (error) {
+      this.error('Error recording punctuality:', error.message);
+    }
+  }
+
+  async _logDelay(entry) {
+    const id = `delay_${entry.stop}_${entry.line}`.replace(/[^a-zA-Z0-9_]/g, '_');
+
+    try {
+      let log;
+      try {
+        log = await this.homey.insights.getLog(id);
+      } catch (error) {
+        const index = await this.api.getStopIndex();
+        log = await this.homey.insights.createLog(id, {
+          title: this.homey.__('insights.delay', {
+            line: entry.line,
+            stop: index.get(entry.stop)?.name || entry.stop,
+          }),
+          type: 'number',
+          units: 'min',
+          decimals: 0,
+        });
+      }
+
+      await log.createEntry(entry.delay);
+    } catch (error) {
+      this.error(`Failed to log delay for ${id}:`, error.message);
+    }
   }
 
   async _checkTriggers() {
     try {
       // Get all configured trigger instances for departure_soon
       const soonArgs = await this.departureSoonTrigger.getArgumentValues();
-      for (const args of soonArgs) {
-        await this._checkDepartureSoonTrigger(args);
+      for (const args of soonArgs.filter(a => this._isActive(a))) {
+        await this._runCheck(() => this._checkDepartureSoonTrigger(args));
       }
 
       // Get all configured trigger instances for departure_delayed
       const delayedArgs = await this.departureDelayedTrigger.getArgumentValues();
-      for (const args of delayedArgs) {
-        await this._checkDepartureDelayedTrigger(args);
+      for (const args of delayedArgs.filter(a => this._isActive(a))) {
+        await this._runCheck(() => this._checkDepartureDelayedTrigger(args));
+      }
+
+      // Get all configured trigger instances for departure_cancelled
+      const cancelledArgs = await this.departureCancelledTrigger.getArgumentValues();
+      for (const args of cancelledArgs.filter(a => this._isActive(a))) {
+        await this._runCheck(() => this._checkDepartureCancelledTrigger(args));
+      }
+
+      // Get all configured trigger instances for new_disruption
+      const disruptionArgs = await this.newDisruptionTrigger.getArgumentValues();
+      for (const args of disruptionArgs) {
+        await this._runCheck(() => this._checkNewDisruptionTrigger(args));
+      }
+
+      // Get all configured trigger instances for platform_changed
+      const platformArgs = await this.platformChangedTrigger.getArgumentValues();
+      for (const args of platformArgs.filter(a => this._isActive(a))) {
+        await this._runCheck(() => this._checkPlatformChangedTrigger(args));
+      }
+
+      // Get all configured trigger instances for vehicle_within_stops
+      const vehicleArgs = await this.vehicleWithinStopsTrigger.getArgumentValues();
+      for (const args of vehicleArgs.filter(a => this._isActive(a))) {
+        await this._runCheck(() => this._checkVehicleWithinStopsTrigger(args));
       }
 
-      // Clean up old triggered departures
-      this._cleanupTriggeredDepartures();
+      // Get all configured trigger instances for arriving_soon
+      const arrivingArgs = await this.arrivingSoonTrigger.getArgumentValues();
+      for (const args of arrivingArgs.filter(a => this._isActive(a))) {
+        await this._runCheck(() => this._checkArrivingSoonTrigger(args));
+      }
+
+      // Compare delays with the previous poll for the delay change triggers
+      await this._checkDelayChangeTriggers();
+
+      // Get all configured trigger instances for time_to_leave
+      const leaveArgs = await this.timeToLeaveTrigger.getArgumentValues();
+      for (const args of leaveArgs.filter(a => this._isActive(a))) {
+        await this._runCheck(() => this._checkTimeToLeaveTrigger(args));
+      }
+
+      // Clean up old triggered departures and persist the rest
+      this.triggeredDepartures.cleanup();
+      this.triggeredDepartures.save();
     } catch (error) {
       this.error('Error checking triggers:', error.message);
     }
   }
 
+  /**
+   * Fire the data availability triggers when the OV API stops responding or
+   * comes back.
+   */
+  async _checkDataAvailability() {
+    const { health } = this.api;
+    const available = health.isAvailable();
+    if (available === this.dataAvailable) return;
+
+    this.dataAvailable = available;
+
+    if (!available) {
+      this.unavailableSince = Date.now();
+      await this.dataUnavailableTrigger.trigger({
+        error: health.lastError || '',
+        failures: health.consecutiveFailures,
+        last_success: this.api.formatTimestamp(health.lastSuccess),
+      });
+      return;
+    }
+
+    await this.dataAvailableTrigger.trigger({
+      downtime_minutes: Math.round((Date.now() - this.unavailableSince) / 60000),
+    });
+  }
+
+  /**
+   * Run the check of one trigger instance. When a stop has no data, only its
+   * own instances are skipped instead of the whole poll.
+   */
+  async _runCheck(check) {
+    try {
+      await check();
+    } catch (error) {
+      this.error('Error checking trigger:', error.message);
+    }
+  }
+
   async _checkDepartureSoonTrigger(args) {
     if (!args.station?.id) return;
 
     const departures = await this.api.getDepartures(args.station.id);
-    const destinationLower = (args.destination?.name || '').toLowerCase();
     const threshold = args.minutes || 5;
 
     for (const dep of departures) {
-      // Check destination match if specified
-      if (destinationLower && !dep.destination.toLowerCase().includes(destinationLower)) {
+      // Check destination, line and transport type if specified
+      if (!this._matchesDeparture(args, dep)) {
         continue;
       }
 
@@ -244,10 +905,9 @@ module.exports = class OVApp extends Homey.App {
 
       // Check if within threshold
       if (minutesUntil <= threshold) {
-        const triggerKey = `soon_${dep.uid}`;
-
         // Check if already triggered (for "once" mode)
-        if (args.trigger_mode === 'once' && this.triggeredDepartures.soon.has(triggerKey)) {
+        const key = this._triggerKey(args.station.id, dep.uid);
+        if (args.trigger_mode === 'once' && this.triggeredDepartures.has('soon', key)) {
           continue;
         }
 
@@ -258,17 +918,21 @@ module.exports = class OVApp extends Homey.App {
           minutes_until: minutesUntil,
           planned_time: dep.planned_time,
           expected_time: dep.expected_time,
+          status: dep.status,
+          data_age_seconds: this._getDataAge(args.station.id),
         };
 
         const state = {
           stationId: args.station.id,
           destination: dep.destination,
+          line: dep.line,
+          transport_type: dep.transport_type,
         };
 
         await this.departureSoonTrigger.trigger(tokens, state);
 
         // Mark as triggered
-        this.triggeredDepartures.soon.add(triggerKey);
+        this.triggeredDepartures.add('soon', key, { timestamp: dep.timestamp });
 
         // Only trigger once per poll for this configuration
         break;
@@ -280,21 +944,25 @@ module.exports = class OVApp extends Homey.App {
     if (!args.station?.id) return;
 
     const departures = await this.api.getDepartures(args.station.id);
-    const destinationLower = (args.destination?.name || '').toLowerCase();
     const minDelay = args.min_delay || 5;
 
     for (const dep of departures) {
-      // Check destination match if specified
-      if (destinationLower && !dep.destination.toLowerCase().includes(destinationLower)) {
+      // Check destination, line and transport type if specified
+      if (!this._matchesDeparture(args, dep)) {
         continue;
       }
 
       // Check if delayed enough
       if (dep.delay_minutes > minDelay) {
-        const triggerKey = `delayed_${dep.uid}`;
+        // Check if already triggered (for "once" mode), unless the delay
+        // grew by at least the re-arm minutes since it last fired
+        const key = this._triggerKey(args.station.id, dep.uid);
+        const triggered = this.triggeredDepartures.get('delayed', key);
+        const rearmMinutes = args.rearm_minutes || 0;
+        const rearmed = triggered !== null && rearmMinutes > 0
+          && dep.delay_minutes - triggered.delay >= rearmMinutes;
 
-        // Check if already triggered (for "once" mode)
-        if (args.trigger_mode === 'once' && this.triggeredDepartures.delayed.has(triggerKey)) {
+        if (args.trigger_mode === 'once' && triggered !== null && !rearmed) {
           continue;
         }
 
@@ -305,17 +973,30 @@ module.exports = class OVApp extends Homey.App {
           delay_minutes: dep.delay_minutes,
           planned_time: dep.planned_time,
           expected_time: dep.expected_time,
+          status: dep.status,
+          data_age_seconds: this._getDataAge(args.station.id),
         };
 
         const state = {
           stationId: args.station.id,
           destination: dep.destination,
+          line: dep.line,
+          transport_type: dep.transport_type,
+          delay: dep.delay_minutes,
         };
 
+        // Flows only fire again for a grown delay when they opted in
+        if (args.trigger_mode === 'once' && rearmed) {
+          state.previousDelay = triggered.delay;
+        }
+
         await this.departureDelayedTrigger.trigger(tokens, state);
 
         // Mark as triggered
-        this.triggeredDepartures.delayed.add(triggerKey);
+        this.triggeredDepartures.add('delayed', key, {
+          timestamp: dep.timestamp,
+          delay: dep.delay_minutes,
+        });
 
         // Only trigger once per poll for this configuration
         break;
@@ -323,32 +1004,525 @@ module.exports = class OVApp extends Homey.App {
     }
   }
 
-  _cleanupTriggeredDepartures() {
-    const now = Date.now();
-    const oneHourAgo = now - (60 * 60 * 1000);
+  /**
+   * Key of a departure in the triggered departures. The departures of a stop
+   * group keep the uids of their stops, so the key includes the stop or group
+   * the flow watches.
+   */
+  _triggerKey(stationId, uid) {
+    return `${stationId}_${uid}`;
+  }
+
+  async _checkNewDisruptionTrigger(args) {
+    if (!args.station?.id) return;
+
+    const messages = await this.api.getMessages(args.station.id);
 
-    // Clean up triggered departures older than 1 hour
-    // The UID contains the planned timestamp, so we can check if it's passed
-    for (const key of this.triggeredDepartures.soon) {
-      const parts = key.split('_');
-      const timestamp = parseInt(parts[parts.length - 1], 10);
-      if (timestamp && timestamp < oneHourAgo) {
-        this.triggeredDepartures.soon.delete(key);
+    for (const message of messages) {
+      const uid = `${args.station.id}_${message.id}`;
+
+      // Each message fires once; messages without an end are kept while they are shown
+      const triggered = this.triggeredDepartures.get('disruption', uid);
+      if (triggered) {
+        if (!message.end_timestamp && triggered.expires - Date.now() < DISRUPTION_REFRESH) {
+          this.triggeredDepartures.add('disruption', uid, { timestamp: Date.now() });
+        }
+        continue;
       }
+
+      const tokens = {
+        message: message.text,
+        reason: message.reason,
+        advice: message.advice,
+        start: this.api.formatDateTime(message.start_timestamp),
+        end: this.api.formatDateTime(message.end_timestamp),
+        lines: message.lines.join(', '),
+      };
+
+      await this.newDisruptionTrigger.trigger(tokens, { stationId: args.station.id });
+
+      this.triggeredDepartures.add('disruption', uid, { timestamp: message.end_timestamp || Date.now() });
     }
+  }
+
+  async _checkPlatformChangedTrigger(args) {
+    if (!args.station?.id) return;
 
-    for (const key of this.triggeredDepartures.delayed) {
-      const parts = key.split('_');
-      const timestamp = parseInt(parts[parts.length - 1], 10);
-      if (timestamp && timestamp < oneHourAgo) {
-        this.triggeredDepartures.delayed.delete(key);
+    const departures = await this.api.getDepartures(args.station.id);
+
+    for (const dep of departures) {
+      // Only departures with platforms, i.e. trains, can change platform
+      if (!dep.platform || !dep.planned_platform || dep.platform === dep.planned_platform) {
+        continue;
       }
+
+      if (!this._matchesDeparture(args, dep)) {
+        continue;
+      }
+
+      // Each new platform fires once, so a second change fires again
+      const uid = this._triggerKey(args.station.id, `${dep.uid}_${dep.platform}`);
+      if (this.triggeredDepartures.has('platform', uid)) {
+        continue;
+      }
+
+      const tokens = {
+        line: dep.line,
+        destination: dep.destination,
+        planned_time: dep.planned_time,
+        old_platform: dep.planned_platform,
+        new_platform: dep.platform,
+        data_age_seconds: this._getDataAge(args.station.id),
+      };
+
+      const state = {
+        stationId: args.station.id,
+        destination: dep.destination,
+        line: dep.line,
+        transport_type: dep.transport_type,
+      };
+
+      await this.platformChangedTrigger.trigger(tokens, state);
+
+      this.triggeredDepartures.add('platform', uid, { timestamp: dep.timestamp });
     }
   }
 
+  async _checkVehicleWithinStopsTrigger(args) {
+    const maxStops = args.stops ?? 1;
+
+    for (const { departure: dep, vehicle } of await this._getApproachingVehicles(args)) {
+      if (vehicle.stops_away > maxStops) {
+        continue;
+      }
+
+      // Each departure fires once per number of stops
+      const uid = this._triggerKey(args.station.id, `${dep.uid}_${maxStops}`);
+      if (this.triggeredDepartures.has('vehicle', uid)) {
+        continue;
+      }
+
+      const tokens = {
+        line: dep.line,
+        destination: dep.destination,
+        stops_away: vehicle.stops_away,
+        current_stop: vehicle.current_stop,
+        minutes_until: this.api.getMinutesUntil(dep),
+        expected_time: dep.expected_time,
+        data_age_seconds: this._getDataAge(args.station.id),
+      };
+
+      const state = {
+        stationId: args.station.id,
+        destination: dep.destination,
+        line: dep.line,
+        transport_type: dep.transport_type,
+        maxStops,
+      };
+
+      await this.vehicleWithinStopsTrigger.trigger(tokens, state);
+
+      this.triggeredDepartures.add('vehicle', uid, { timestamp: dep.timestamp });
+    }
+  }
+
+  async _checkArrivingSoonTrigger(args) {
+    if (!args.station?.id || !args.origin?.id) return;
+
+    const arrivals = await this.api.getArrivalsFrom(args.station.id, args.origin.id,
+      dep => this._matchesDeparture(args, dep));
+
+    for (const arrival of arrivals) {
+      if (this.api.getMinutesUntilArrival(arrival) > args.minutes) {
+        break;
+      }
+
+      // Each vehicle fires once per origin and number of minutes
+      const uid = this._triggerKey(args.station.id, `${arrival.uid}_${args.origin.id}_${args.minutes}`);
+      if (this.triggeredDepartures.has('arrival', uid)) {
+        continue;
+      }
+
+      const state = {
+        stationId: args.station.id,
+        originId: args.origin.id,
+        minutes: args.minutes,
+        line: arrival.line,
+      };
+
+      await this.arrivingSoonTrigger.trigger(this._getArrivalTokens(arrival, args.station.id), state);
+
+      this.triggeredDepartures.add('arrival', uid, { timestamp: arrival.arrival_timestamp });
+    }
+  }
+
+  /**
+   * Tokens of the arrival cards, empty without an arrival.
+   */
+  _getArrivalTokens(arrival, stopId) {
+    return {
+      line: arrival?.line || '',
+      destination: arrival?.destination || '',
+      origin: arrival?.origin_name || '',
+      minutes_until: arrival ? this.api.getMinutesUntilArrival(arrival) : 0,
+      planned_arrival_time: arrival?.planned_arrival_time || '',
+      expected_arrival_time: arrival?.expected_arrival_time || '',
+      delay_minutes: arrival?.delay_minutes || 0,
+      data_age_seconds: this._getDataAge(stopId),
+    };
+  }
+
+  /**
+   * Follow the vehicles of the next few matching departures, keeping those
+   * that have left their first stop.
+   */
+  async _getApproachingVehicles(args) {
+    if (!args.station?.id) return [];
+
+    const departures = (await this.api.getDepartures(args.station.id, 50))
+      .filter(dep => this._matchesDeparture(args, dep))
+      .slice(0, VEHICLE_CHECK_LIMIT);
+
+    const vehicles = [];
+    for (const departure of departures) {
+      const vehicle = await this.api.getVehicleProgress(departure);
+      if (vehicle?.status === 'driving') {
+        vehicles.push({ departure, vehicle });
+      }
+    }
+    return vehicles;
+  }
+
+  /**
+   * Collect the stops used by the delay change triggers.
+   */
+  async _getDelayChangeStopIds() {
+    const stopIds = new Set();
+    if (this._isHolidayMode()) return [];
+
+    for (const trigger of [this.delayIncreasedTrigger, this.backOnTimeTrigger, this.expectedTimeChangedTrigger]) {
+      for (const args of await trigger.getArgumentValues()) {
+        if (args.station?.id) stopIds.add(args.station.id);
+      }
+    }
+
+    return Array.from(stopIds);
+  }
+
+  /**
+   * Fire the delay change triggers for departures whose delay or expected
+   * time changed since the previous poll. Each change fires once per stop;
+   * the run listeners match it against the flow arguments. Delay increases
+   * fire once for each number of minutes the flows ask for.
+   */
+  async _checkDelayChangeTriggers() {
+    const increaseArgs = await this.delayIncreasedTrigger.getArgumentValues();
+
+    for (const stopId of await this._getDelayChangeStopIds()) {
+      let departures;
+      try {
+        departures = await this.api.getDepartures(stopId, 20);
+      } catch (error) {
+        this.error(`Error checking delay changes for ${stopId}:`, error.message);
+        continue;
+      }
+
+      const increases = new Set(increaseArgs
+        .filter(args => args.station?.id === stopId)
+        .map(args => args.minutes || 1));
+
+      for (const { departure: dep, previous } of this.delayTracker.update(stopId, departures)) {
+        const tokens = {
+          line: dep.line,
+          destination: dep.destination,
+          old_delay: previous.delay_minutes,
+          new_delay: dep.delay_minutes,
+          planned_time: dep.planned_time,
+          old_expected_time: previous.expected_time,
+          expected_time: dep.expected_time,
+          data_age_seconds: this._getDataAge(stopId),
+        };
+
+        const state = {
+          stationId: stopId,
+          destination: dep.destination,
+          line: dep.line,
+          transport_type: dep.transport_type,
+          old_delay: previous.delay_minutes,
+          new_delay: dep.delay_minutes,
+        };
+
+        for (const minutes of increases) {
+          const from = this.delayTracker.checkIncrease(stopId, dep, minutes);
+          if (from === null) continue;
+
+          await this.delayIncreasedTrigger.trigger(
+            { ...tokens, old_delay: from },
+            { ...state, old_delay: from, minutes },
+          );
+        }
+
+        if (previous.delay_minutes > 0 && dep.delay_minutes <= 0) {
+          await this.backOnTimeTrigger.trigger(tokens, state);
+        }
+
+        if (dep.expected_time !== previous.expected_time) {
+          await this.expectedTimeChangedTrigger.trigger(tokens, state);
+        }
+      }
+    }
+
+    this.delayTracker.cleanup();
+  }
+
+  async _checkDepartureCancelledTrigger(args) {
+    if (!args.station?.id) return;
+
+    const departures = await this.api.getDepartures(args.station.id, 50, { includeCancelled: true });
+
+    for (const dep of departures) {
+      // Check destination, line and transport type if specified
+      if (!this._matchesDeparture(args, dep)) {
+        continue;
+      }
+
+      if (dep.status === 'cancelled') {
+        // Check if already triggered (for "once" mode)
+        const key = this._triggerKey(args.station.id, dep.uid);
+        if (args.trigger_mode === 'once' && this.triggeredDepartures.has('cancelled', key)) {
+          continue;
+        }
+
+        // Fire the trigger
+        const tokens = {
+          line: dep.line,
+          destination: dep.destination,
+          minutes_until: this.api.getMinutesUntil(dep),
+          planned_time: dep.planned_time,
+          status: dep.status,
+          data_age_seconds: this._getDataAge(args.station.id),
+        };
+
+        const state = {
+          stationId: args.station.id,
+          destination: dep.destination,
+          line: dep.line,
+          transport_type: dep.transport_type,
+        };
+
+        await this.departureCancelledTrigger.trigger(tokens, state);
+
+        // Mark as triggered
+        this.triggeredDepartures.add('cancelled', key, { timestamp: dep.timestamp });
+
+        // Only trigger once per poll for this configuration
+        break;
+      }
+    }
+  }
+
+  async _checkTimeToLeaveTrigger(args) {
+    if (!args.from?.id || !args.to?.id) return;
+
+    const threshold = args.minutes || 0;
+    const walkingMinutes = args.walking_minutes || 0;
+    const arriveBy = args.arrive_by || '';
+
+    const journeys = await this.planner.plan(args.from.id, args.to.id, {
+      walkingMinutes,
+      arriveBy: this.api.parseTimeOfDay(arriveBy),
+    });
+
+    for (const journey of journeys) {
+      const minutesUntilLeave = this._getMinutesUntilLeave(journey);
+
+      // Check if it's (almost) time to leave
+      if (minutesUntilLeave <= threshold) {
+        // Check if already triggered (for "once" mode), per route and settings
+        const uid = `${args.from.id}_${args.to.id}_${threshold}_${walkingMinutes}_${arriveBy}_${journey.uid}`;
+        if (args.trigger_mode === 'once' && this.triggeredDepartures.has('leave', uid)) {
+          continue;
+        }
+
+        const state = {
+          fromId: args.from.id,
+          toId: args.to.id,
+          minutes: threshold,
+          walkingMinutes,
+          arriveBy,
+          triggerMode: args.trigger_mode,
+        };
+
+        await this.timeToLeaveTrigger.trigger(this._getJourneyTokens(journey, args.from.id), state);
+
+        // Mark as triggered
+        this.triggeredDepartures.add('leave', uid, { timestamp: journey.departure_timestamp });
+
+        // Only trigger once per poll for this configuration
+        break;
+      }
+    }
+  }
+
+  _getMinutesUntilLeave(journey) {
+    return Math.max(0, Math.round((journey.leave_timestamp - Date.now()) / 60000));
+  }
+
+  _getJourneyTokens(journey, fromStopId) {
+    return {
+      leave_time: journey.leave_time,
+      departure_time: journey.departure_time,
+      arrival_time: journey.arrival_time,
+      minutes_until_leave: this._getMinutesUntilLeave(journey),
+      transfers: journey.transfers,
+      legs: journey.legs
+        .map(leg => `${leg.line} ${leg.from} ${leg.departure_time} → ${leg.to} ${leg.arrival_time}`)
+        .join(' | '),
+      data_age_seconds: this._getDataAge(fromStopId),
+    };
+  }
+
+  /**
+   * Get the age in seconds of the data behind a card's tokens.
+   */
+  _getDataAge(stopId) {
+    return this.api.getDataAge(stopId) ?? 0;
+  }
+
+  /**
+   * Get the departures of a stop for the settings page, widgets and the Web
+   * API, including cancelled ones, with the minutes until they leave.
+   */
+  async getDepartureBoard(stopId, limit = 20, { maxAge } = {}) {
+    const departures = await this.api.getDepartures(stopId, limit, { includeCancelled: true, maxAge });
+
+    return departures.map(dep => ({
+      ...dep,
+      minutes_until: this.api.getMinutesUntil(dep),
+      stale: dep.stale || false,
+    }));
+  }
+
+  /**
+   * Get the departures of a stop or stop group for the Web API. The stop is
+   * polled with the watched stops for a while, so clients that keep asking
+   * are served from the shared cache. Unknown stops are refused, so callers
+   * can't add arbitrary codes to the polling.
+   */
+  async getApiDepartures(stopId, limit) {
+    if (!await this.api.isKnownStop(stopId)) {
+      throw new Error(this.homey.__('errors.unknown_stop'));
+    }
+
+    this._requestStops([stopId]);
+    return this.getDepartureBoard(stopId, limit, { maxAge: this._getPolledMaxAge() });
+  }
+
+  /**
+   * Get the next departures of one or more stops for the dashboard widget.
+   * The stops are added to the scheduler's polling, so widgets read from the
+   * same cache as the triggers instead of polling the OV API themselves.
+   */
+  async getWidgetDepartures(stopIds, limit) {
+    const maxAge = this._getPolledMaxAge();
+
+    this._requestStops(stopIds);
+    await this.api.prefetchDepartures(stopIds, { maxAge });
+
+    const results = [];
+    for (const stopId of stopIds) {
+      try {
+        results.push({
+          id: stopId,
+          departures: await this.getDepartureBoard(stopId, limit, { maxAge }),
+        });
+      } catch (error) {
+        results.push({ id: stopId, departures: [], error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * How old the departures of polled stops can get before the next poll.
+   * Widgets and the Web API accept this age, so only stops that aren't
+   * polled yet are fetched for them and the scheduler does the rest.
+   */
+  _getPolledMaxAge() {
+    return (this.scheduler?.interval || 0) + POLL_MARGIN;
+  }
+
+  /**
+   * Add stops to the polled stops, until they haven't been asked for in a
+   * while. Beyond the maximum, the least recently requested stops are dropped.
+   */
+  _requestStops(stopIds) {
+    const now = Date.now();
+    for (const stopId of stopIds) {
+      // Re-insert, so the map stays ordered by request time
+      this.requestedStopIds.delete(stopId);
+      this.requestedStopIds.set(stopId, now);
+    }
+
+    for (const stopId of this.requestedStopIds.keys()) {
+      if (this.requestedStopIds.size <= MAX_REQUESTED_STOPS) break;
+      this.requestedStopIds.delete(stopId);
+    }
+  }
+
+  /**
+   * Get the state of the caches and the polled stops.
+   */
+  async getStatus() {
+    const index = await this.api.getStopIndex();
+
+    return {
+      stopAreas: {
+        count: index.entries.length,
+        cacheTime: this.api.stopAreasCacheTime || null,
+      },
+      caches: this.api.getCacheSizes(),
+      polledStops: (this.scheduler?.stopIds || []).map(id => ({
+        id,
+        name: index.get(id)?.name || id,
+        town: index.get(id)?.town || '',
+        dataAge: this.api.getDataAge(id),
+        health: this.api.health.getStop(id),
+      })),
+      requestedStops: Array.from(this.requestedStopIds.keys()),
+      health: {
+        available: this.api.health.isAvailable(),
+        consecutiveFailures: this.api.health.consecutiveFailures,
+        lastSuccess: this.api.health.lastSuccess,
+        lastError: this.api.health.lastError,
+      },
+      pollInterval: this.scheduler?.interval || null,
+    };
+  }
+
+  /**
+   * Add a stop to a stop group for the flow action and the Web API. Unknown
+   * stops are refused, as they would be polled with the group.
+   */
+  async addStopToGroup(groupName, stop, walkMinutes) {
+    if (!stop?.id || !await this.api.isKnownStop(stop.id)) {
+      throw new Error(this.homey.__('errors.unknown_stop'));
+    }
+
+    return this.api.groups.addStop(groupName, stop, walkMinutes);
+  }
+
+  /**
+   * Download the stop areas again, ignoring the 24 hour cache.
+   */
+  async refreshStopAreas() {
+    await this.api.getAllStopAreas({ refresh: true });
+    return this.getStatus();
+  }
+
   onUninit() {
-    if (this.pollInterval) {
-      this.homey.clearInterval(this.pollInterval);
+    if (this.scheduler) {
+      this.scheduler.stop();
     }
   }
 
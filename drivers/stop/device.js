@@ -0,0 +1,85 @@
+'use strict';
+
+const Homey = require('homey');
+
+module.exports = class StopDevice extends Homey.Device {
+
+  async onInit() {
+    this.nextDepartureUid = null;
+
+    // Later refreshes are driven by the app's departure scheduler
+    await this.refresh();
+  }
+
+  /**
+   * Update the capabilities with the next departure from this stop.
+   */
+  async refresh() {
+    try {
+      const { id } = this.getData();
+      let departures;
+      try {
+        departures = await this.homey.app.api.getDepartures(id, 1);
+      } catch (error) {
+        await this.setUnavailable(error.message);
+        return;
+      }
+      if (!this.getAvailable()) {
+        await this.setAvailable();
+      }
+      const next = departures[0];
+
+      if (!next) {
+        await this._setCapabilities({
+          next_line: '',
+          next_destination: '',
+          minutes_until_departure: null,
+          delay_minutes: null,
+          departure_status: this.homey.__('device.no_departures'),
+        });
+        this.nextDepartureUid = null;
+        return;
+      }
+
+      const minutesUntil = this.homey.app.api.getMinutesUntil(next);
+
+      await this._setCapabilities({
+        next_line: next.line,
+        next_destination: next.destination,
+        minutes_until_departure: minutesUntil,
+        delay_minutes: next.delay_minutes,
+        departure_status: this._getStatusText(next),
+      });
+
+      // Fire the device trigger when another departure becomes the next one
+      if (this.nextDepartureUid !== null && this.nextDepartureUid !== next.uid) {
+        await this.driver.departureChangedTrigger.trigger(this, {
+          line: next.line,
+          destination: next.destination,
+          minutes_until: minutesUntil,
+          delay_minutes: next.delay_minutes,
+          data_age_seconds: this.homey.app.api.getDataAge(id) ?? 0,
+        });
+      }
+      this.nextDepartureUid = next.uid;
+    } catch (error) {
+      this.error('Error refreshing departures:', error.message);
+    }
+  }
+
+  _getStatusText(departure) {
+    if (departure.delay_minutes > 0) {
+      return this.homey.__('device.delayed', { minutes: departure.delay_minutes });
+    }
+    return this.homey.__('device.on_time');
+  }
+
+  async _setCapabilities(values) {
+    for (const [capability, value] of Object.entries(values)) {
+      if (this.getCapabilityValue(capability) !== value) {
+        await this.setCapabilityValue(capability, value);
+      }
+    }
+  }
+
+};
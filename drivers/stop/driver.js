@@ -0,0 +1,43 @@
+'use strict';
+
+const Homey = require('homey');
+
+module.exports = class StopDriver extends Homey.Driver {
+
+  async onInit() {
+    this.departureChangedTrigger = this.homey.flow.getDeviceTriggerCard('stop_departure_changed');
+
+    this.homey.flow.getConditionCard('stop_departure_within')
+      .registerRunListener(async (args) => {
+        const minutesUntil = args.device.getCapabilityValue('minutes_until_departure');
+        return minutesUntil !== null && minutesUntil <= args.minutes;
+      });
+
+    this.homey.flow.getConditionCard('stop_is_delayed')
+      .registerRunListener(async (args) => {
+        const delayMinutes = args.device.getCapabilityValue('delay_minutes');
+        return delayMinutes !== null && delayMinutes > args.minutes;
+      });
+  }
+
+  async onPair(session) {
+    let results = [];
+
+    // Search stops from the custom search view
+    session.setHandler('search', async (query) => {
+      results = await this.homey.app.api.searchLocations(query);
+      return results.length;
+    });
+
+    // Offer the search results as devices
+    session.setHandler('list_devices', async () => {
+      return results.map(stop => ({
+        name: stop.description ? `${stop.name}, ${stop.description}` : stop.name,
+        data: {
+          id: stop.id,
+        },
+      }));
+    });
+  }
+
+};
@@ -1,63 +1,67 @@
 'use strict';
 
-const https = require('https');
+const AmsterdamTime = require('./AmsterdamTime');
+const ApiHealth = require('./ApiHealth');
+const HttpClient = require('./HttpClient');
+const NsSource = require('./NsSource');
+const StopGroups = require('./StopGroups');
+const StopIndex = require('./StopIndex');
 
 const BASE_URL = 'https://v0.ovapi.nl';
 const STOP_AREAS_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
 const DEPARTURES_CACHE_TTL = 30 * 1000; // 30 seconds
+const STALE_DEPARTURES_MAX_AGE = 60 * 60 * 1000; // Serve old departures for 1 hour when fetching fails
+const DEPARTED_GRACE = 60 * 1000; // Stale departures are dropped 1 minute after leaving
+const JOURNEY_CACHE_TTL = 60 * 1000; // 1 minute
+const LINE_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const TIMING_POINTS_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const TIMING_POINT_PREFIX = 'tpc:'; // Stop ids for single timing points
+const MULTI_STOP_BATCH_SIZE = 20; // Stop codes per multi-stop request
+const SOURCE_SEARCH_LIMIT = 5; // Search results per other data source
+const ARRIVAL_CHECK_LIMIT = 8; // Upcoming vehicles whose journey is checked for their origin
 
 class OVApi {
-  constructor(homey) {
+  constructor(homey, { baseUrl = BASE_URL, nsBaseUrl } = {}) {
     this.homey = homey;
+    this.http = new HttpClient(homey, baseUrl);
+    this.health = new ApiHealth();
     this.stopAreasCache = null;
     this.stopAreasCacheTime = 0;
     this.departuresCache = new Map();
+    this.failedFetches = new Map();
+    this.journeyCache = new Map();
+    this.lineCache = new Map();
+    this.timingPointsCache = new Map();
+    this.stopIndex = new StopIndex();
+    this.groups = new StopGroups(homey);
+
+    // Other data sources, each handling the stop ids starting with its prefix
+    this.sources = [new NsSource(homey, { baseUrl: nsBaseUrl })];
   }
 
   /**
    * Make an HTTP GET request to the OV API.
    */
   async _fetch(endpoint, timeout = 10000) {
-    return new Promise((resolve, reject) => {
-      const url = `${BASE_URL}${endpoint}`;
-      const timeoutId = setTimeout(() => {
-        reject(new Error('Request timeout'));
-      }, timeout);
-
-      https.get(url, { rejectUnauthorized: false }, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          clearTimeout(timeoutId);
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error('Invalid JSON response'));
-          }
-        });
-      }).on('error', (err) => {
-        clearTimeout(timeoutId);
-        reject(err);
-      });
-    });
+    return this.http.getJson(endpoint, { timeout });
   }
 
   /**
    * Get all stop areas from the OV API.
-   * Caches results for 24 hours.
+   * Caches results for 24 hours, unless `refresh` is set.
    */
-  async getAllStopAreas() {
+  async getAllStopAreas({ refresh = false } = {}) {
     const now = Date.now();
 
     // Check in-memory cache first
-    if (this.stopAreasCache && (now - this.stopAreasCacheTime) < STOP_AREAS_CACHE_TTL) {
+    if (!refresh && this.stopAreasCache && (now - this.stopAreasCacheTime) < STOP_AREAS_CACHE_TTL) {
       return this.stopAreasCache;
     }
 
     // Check persistent cache
     const cached = this.homey.settings.get('stopAreasCache');
     const cachedTime = this.homey.settings.get('stopAreasCacheTime');
-    if (cached && cachedTime && (now - cachedTime) < STOP_AREAS_CACHE_TTL) {
+    if (!refresh && cached && cachedTime && (now - cachedTime) < STOP_AREAS_CACHE_TTL) {
       this.stopAreasCache = cached;
       this.stopAreasCacheTime = cachedTime;
       return cached;
@@ -77,121 +81,281 @@ class OVApi {
       return stopAreas;
     } catch (error) {
       this.homey.error('Failed to fetch stop areas:', error.message);
+
+      // Fall back to an expired cache, even one from before a restart
+      if (!this.stopAreasCache && cached) {
+        this.stopAreasCache = cached;
+        this.stopAreasCacheTime = cachedTime;
+      }
       return this.stopAreasCache || [];
     }
   }
 
   /**
    * Search for stops by query string.
-   * Searches in name, town, and code.
+   * Matches name, town and code tokens, ranked by relevance. An empty query
+   * returns the stops near Homey. Matching stop groups come first.
    */
   async searchLocations(query) {
-    if (!query || query.length < 2) {
-      return [];
+    const groups = this.groups.search(query || '');
+
+    if (!query || !query.trim()) {
+      return [...groups, ...await this.searchNearby()];
     }
+    if (query.trim().length < 2) {
+      return groups;
+    }
+
+    const index = await this.getStopIndex();
+    const stations = await this._searchSources(source => source.search(query, SOURCE_SEARCH_LIMIT));
 
-    const queryLower = query.toLowerCase();
-    const allStops = await this.getAllStopAreas();
+    const stops = index.search(query, 15).map(stop => ({
+      id: stop.id,
+      name: stop.name,
+      description: stop.town,
+    }));
 
-    return allStops
-      .filter(stop => {
-        const name = (stop.TimingPointName || '').toLowerCase();
-        const town = (stop.TimingPointTown || '').toLowerCase();
-        const code = (stop.StopAreaCode || '').toLowerCase();
+    return [...groups, ...stations, ...stops].slice(0, 15);
+  }
 
-        return name.includes(queryLower) ||
-               town.includes(queryLower) ||
-               code.includes(queryLower);
-      })
-      .slice(0, 15)
+  /**
+   * Get the stops closest to Homey's location.
+   */
+  async searchNearby(limit = 15) {
+    const index = await this.getStopIndex();
+    const latitude = this.homey.geolocation.getLatitude();
+    const longitude = this.homey.geolocation.getLongitude();
+
+    const stops = index.nearby(latitude, longitude, { limit }).map(stop => ({
+      id: stop.id,
+      name: stop.name,
+      description: stop.town,
+      distance: stop.distance,
+    }));
+    const stations = await this._searchSources(source => source.nearby(latitude, longitude, SOURCE_SEARCH_LIMIT));
+
+    return [...stops, ...stations]
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit)
       .map(stop => ({
-        id: stop.StopAreaCode || '',
-        name: stop.TimingPointName || '',
-        description: stop.TimingPointTown || '',
+        id: stop.id,
+        name: stop.name,
+        description: `${stop.description} · ${this._formatDistance(stop.distance)}`,
       }));
   }
 
   /**
-   * Get departures for a stop area.
+   * Get the stop index, rebuilt whenever the stop areas were refreshed.
    */
-  async getDepartures(stopAreaCode, limit = 10) {
-    if (!stopAreaCode) {
+  async getStopIndex() {
+    const stopAreas = await this.getAllStopAreas();
+    if (this.stopIndex.source !== stopAreas) {
+      this.stopIndex.build(stopAreas);
+    }
+    return this.stopIndex;
+  }
+
+  /**
+   * Check whether a stop id is a known stop area, a timing point code, a saved
+   * stop group or a station of an enabled data source.
+   */
+  async isKnownStop(stopId) {
+    if (this.groups.isGroup(stopId)) {
+      return this.groups.get(stopId) !== null;
+    }
+    if (this.isTimingPoint(stopId)) {
+      return /^\d+$/.test(stopId.slice(TIMING_POINT_PREFIX.length));
+    }
+
+    const source = this._getSource(stopId);
+    if (source) {
+      return source.isEnabled() && source.has(stopId);
+    }
+
+    const index = await this.getStopIndex();
+    return index.get(stopId) !== null;
+  }
+
+  /**
+   * Get departures for a stop area, a single timing point when the stop id is
+   * `tpc:<TimingPointCode>`, or a stop group when it is `group:<slug>`.
+   * Cancelled departures are left out unless `includeCancelled` is set.
+   * Cached departures up to `maxAge` old are served without a request.
+   */
+  async getDepartures(stopId, limit = 10, { includeCancelled = false, maxAge = DEPARTURES_CACHE_TTL } = {}) {
+    if (!stopId) {
       return [];
     }
 
+    if (this.groups.isGroup(stopId)) {
+      const departures = await this._getGroupDepartures(stopId, includeCancelled, maxAge);
+      return departures.slice(0, limit);
+    }
+
     const now = Date.now();
-    const cacheKey = stopAreaCode;
 
     // Check cache
-    const cached = this.departuresCache.get(cacheKey);
-    if (cached && (now - cached.time) < DEPARTURES_CACHE_TTL) {
-      return cached.data.slice(0, limit);
+    const cached = this.departuresCache.get(stopId);
+    if (cached && (now - cached.time) < Math.max(maxAge, DEPARTURES_CACHE_TTL)) {
+      return this._filterCancelled(cached.data, includeCancelled).slice(0, limit);
     }
 
-    try {
-      const data = await this._fetch(`/stopareacode/${stopAreaCode}`);
-      const stopData = data[stopAreaCode] || {};
+    // Don't hammer the API for a stop that just failed
+    const failed = this.failedFetches.get(stopId);
+    if (!failed || (now - failed) >= DEPARTURES_CACHE_TTL) {
+      try {
+        const source = this._getSource(stopId);
+        const departures = source
+          ? this._cacheDepartures(stopId, await source.getDepartures(stopId), [], now)
+          : this._storeDepartures(stopId, await this._fetchStops(stopId), now);
+        this.health.recordSuccess([stopId], Date.now() - now);
+
+        return this._filterCancelled(departures, includeCancelled).slice(0, limit);
+      } catch (error) {
+        this.homey.error(`Failed to fetch departures for ${stopId}:`, error.message);
+        this.health.recordFailure([stopId], error);
+        this.failedFetches.set(stopId, now);
+      }
+    }
 
-      const departures = [];
+    return this._filterCancelled(this._getStaleDepartures(stopId), includeCancelled).slice(0, limit);
+  }
 
-      // Iterate through all stops in this area
-      for (const stop of Object.values(stopData)) {
-        const passes = stop.Passes || {};
+  /**
+   * Fetch departures for several stops and store them in the cache, so the
+   * next getDepartures() calls for these stops don't need a request.
+   * OV API accepts comma-separated codes, so stop areas and timing points are
+   * each fetched in batches instead of one request per stop. Stop groups are
+   * fetched as their stops, and stops with departures up to `maxAge` old are
+   * skipped.
+   */
+  async prefetchDepartures(stopIds, { maxAge = DEPARTURES_CACHE_TTL } = {}) {
+    const now = Date.now();
+    this._pruneCaches(now);
 
-        for (const departure of Object.values(passes)) {
-          const planned = this._parseDateTime(departure.TargetDepartureTime);
-          const expected = this._parseDateTime(departure.ExpectedDepartureTime);
+    const stopAreaCodes = [];
+    const timingPointCodes = [];
+    const sourceStopIds = [];
 
-          let delayMinutes = 0;
-          if (planned && expected) {
-            delayMinutes = Math.round((expected.getTime() - planned.getTime()) / 60000);
-          }
+    for (const stopId of new Set(this.groups.expand(stopIds))) {
+      const cached = this.departuresCache.get(stopId);
+      if (!stopId || (cached && (now - cached.time) < Math.max(maxAge, DEPARTURES_CACHE_TTL))) {
+        continue;
+      }
 
-          const status = this._mapStatus(departure.TripStopStatus || '');
-          const timestamp = expected?.getTime() || planned?.getTime() || 0;
+      if (this._getSource(stopId)) {
+        sourceStopIds.push(stopId);
+      } else if (this.isTimingPoint(stopId)) {
+        timingPointCodes.push(stopId.slice(TIMING_POINT_PREFIX.length));
+      } else {
+        stopAreaCodes.push(stopId);
+      }
+    }
 
-          // Skip passed departures or invalid timestamps
-          if (status === 'passed' || timestamp === 0) {
-            continue;
-          }
+    for (let i = 0; i < stopAreaCodes.length; i += MULTI_STOP_BATCH_SIZE) {
+      const codes = stopAreaCodes.slice(i, i + MULTI_STOP_BATCH_SIZE);
+      const start = Date.now();
+      try {
+        const data = await this._fetch(`/stopareacode/${codes.join(',')}`);
+        this.health.recordSuccess(codes, Date.now() - start);
+        for (const code of codes) {
+          this._storeDepartures(code, Object.values(data[code] || {}), now);
+        }
+      } catch (error) {
+        this.homey.error(`Failed to fetch departures for ${codes.join(',')}:`, error.message);
+        this.health.recordFailure(codes, error);
+        this._markFailed(codes, now);
+      }
+    }
 
-          departures.push({
-            line: departure.LinePublicNumber || '',
-            destination: departure.DestinationName50 || departure.DestinationName || '',
-            status,
-            planned_time: planned ? this._formatTime(planned) : '',
-            expected_time: expected ? this._formatTime(expected) : '',
-            delay_minutes: delayMinutes,
-            transport_type: this._mapTransportType(departure.TransportType || ''),
-            operator: departure.OperatorCode || '',
-            timestamp,
-            // Unique ID for tracking triggered departures
-            uid: `${stopAreaCode}_${departure.LinePublicNumber}_${departure.DestinationName50 || departure.DestinationName}_${planned?.getTime() || 0}`,
-          });
+    for (let i = 0; i < timingPointCodes.length; i += MULTI_STOP_BATCH_SIZE) {
+      const codes = timingPointCodes.slice(i, i + MULTI_STOP_BATCH_SIZE);
+      const stopIds = codes.map(code => `${TIMING_POINT_PREFIX}${code}`);
+      const start = Date.now();
+      try {
+        const data = await this._fetch(`/tpc/${codes.join(',')}`);
+        this.health.recordSuccess(stopIds, Date.now() - start);
+        for (const code of codes) {
+          this._storeDepartures(`${TIMING_POINT_PREFIX}${code}`, data[code] ? [data[code]] : [], now);
         }
+      } catch (error) {
+        this.homey.error(`Failed to fetch departures for ${codes.join(',')}:`, error.message);
+        this.health.recordFailure(stopIds, error);
+        this._markFailed(stopIds, now);
       }
+    }
 
-      // Sort by timestamp and limit
-      departures.sort((a, b) => a.timestamp - b.timestamp);
+    // Other data sources have no multi-stop requests
+    for (const stopId of sourceStopIds) {
+      try {
+        await this.getDepartures(stopId);
+      } catch (error) {
+        // Already logged and recorded by getDepartures()
+      }
+    }
+  }
 
-      // Cache the results
-      this.departuresCache.set(cacheKey, {
-        time: now,
-        data: departures,
-      });
+  /**
+   * Get the age in seconds of the cached departures of a stop, or null when
+   * nothing was fetched yet.
+   */
+  getDataAge(stopId) {
+    if (this.groups.isGroup(stopId)) {
+      // A group is as old as its oldest stop
+      const ages = this.groups.expand([stopId])
+        .map(id => this.getDataAge(id))
+        .filter(age => age !== null);
+      return ages.length > 0 ? Math.max(...ages) : null;
+    }
 
-      return departures.slice(0, limit);
-    } catch (error) {
-      this.homey.error(`Failed to fetch departures for ${stopAreaCode}:`, error.message);
+    const cached = this.departuresCache.get(stopId);
+    if (!cached) {
+      return null;
+    }
+    return Math.max(0, Math.round((Date.now() - cached.time) / 1000));
+  }
+
+  /**
+   * Get the number of entries in each cache, for the app status.
+   */
+  getCacheSizes() {
+    return {
+      departures: this.departuresCache.size,
+      journeys: this.journeyCache.size,
+      lines: this.lineCache.size,
+      timingPoints: this.timingPointsCache.size,
+    };
+  }
+
+  /**
+   * Get the active service messages (KV15: works, detours, closed stops)
+   * for a stop. They come with the departures, so this uses the same cache.
+   */
+  async getMessages(stopId) {
+    if (!stopId) {
       return [];
     }
+
+    await this.getDepartures(stopId);
+
+    const now = Date.now();
+    const messages = new Map();
+    for (const id of this.groups.expand([stopId])) {
+      for (const message of this.departuresCache.get(id)?.messages || []) {
+        messages.set(message.id, message);
+      }
+    }
+
+    return Array.from(messages.values())
+      .filter(message => message.start_timestamp <= now
+        && (!message.end_timestamp || message.end_timestamp > now));
   }
 
   /**
    * Get unique destinations for a stop (for autocomplete).
    */
-  async getDestinations(stopAreaCode) {
-    const departures = await this.getDepartures(stopAreaCode, 50);
+  async getDestinations(stopId) {
+    const departures = await this.getDepartures(stopId, 50, { includeCancelled: true });
     const destinations = new Map();
 
     for (const dep of departures) {
@@ -199,6 +363,7 @@ class OVApi {
         destinations.set(dep.destination, {
           name: dep.destination,
           description: `Line ${dep.line}`,
+          exact: true,
         });
       }
     }
@@ -207,76 +372,598 @@ class OVApi {
   }
 
   /**
-   * Get minutes until a departure.
+   * Get unique lines for a stop (for autocomplete).
    */
-  getMinutesUntil(departure) {
+  async getLines(stopId) {
+    const departures = await this.getDepartures(stopId, 50, { includeCancelled: true });
+    const lines = new Map();
+
+    for (const dep of departures) {
+      if (!dep.line) continue;
+
+      const line = lines.get(dep.line) || {
+        name: dep.line,
+        transportType: dep.transport_type,
+        destinations: new Set(),
+      };
+      line.destinations.add(dep.destination);
+      lines.set(dep.line, line);
+    }
+
+    return Array.from(lines.values())
+      .sort((a, b) => a.name.localeCompare(b.name, 'nl', { numeric: true }))
+      .map(line => ({
+        name: line.name,
+        description: `${line.transportType} → ${Array.from(line.destinations).join(', ')}`,
+      }));
+  }
+
+  /**
+   * Get the timing points (individual stops, e.g. a platform or one side of
+   * the road) inside a stop area, with the destinations served from each.
+   * Caches results for 1 hour.
+   */
+  async getTimingPoints(stopAreaCode) {
+    if (!stopAreaCode || this.isTimingPoint(stopAreaCode) || this._getSource(stopAreaCode)
+      || this.groups.isGroup(stopAreaCode)) {
+      return [];
+    }
+
     const now = Date.now();
-    const departureTime = departure.timestamp;
-    return Math.max(0, Math.round((departureTime - now) / 60000));
+    const cached = this.timingPointsCache.get(stopAreaCode);
+    if (cached && (now - cached.time) < TIMING_POINTS_CACHE_TTL) {
+      return cached.data;
+    }
+
+    try {
+      const stops = await this._fetchStops(stopAreaCode);
+
+      const timingPoints = stops
+        .filter(stop => stop.Stop?.TimingPointCode)
+        .map(stop => {
+          const destinations = new Set();
+          for (const pass of Object.values(stop.Passes || {})) {
+            const destination = pass.DestinationName50 || pass.DestinationName;
+            if (destination) destinations.add(destination);
+          }
+
+          return {
+            id: `${TIMING_POINT_PREFIX}${stop.Stop.TimingPointCode}`,
+            code: stop.Stop.TimingPointCode,
+            name: stop.Stop.TimingPointName || '',
+            town: stop.Stop.TimingPointTown || '',
+            destinations: Array.from(destinations),
+          };
+        })
+        .sort((a, b) => a.code.localeCompare(b.code));
+
+      this.timingPointsCache.set(stopAreaCode, {
+        time: now,
+        data: timingPoints,
+      });
+
+      return timingPoints;
+    } catch (error) {
+      this.homey.error(`Failed to fetch timing points for ${stopAreaCode}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Check whether a stop id refers to a single timing point.
+   */
+  isTimingPoint(stopId) {
+    return (stopId || '').startsWith(TIMING_POINT_PREFIX);
+  }
+
+  /**
+   * Check whether a journey or line stop is (part of) the given stop id.
+   */
+  isAtStop(stop, stopId) {
+    if (this.isTimingPoint(stopId)) {
+      return stop.timing_point_code === stopId.slice(TIMING_POINT_PREFIX.length);
+    }
+    return stop.stop_area_code === stopId;
   }
 
   /**
-   * Parse an ISO datetime string from the OV API.
-   * The API returns times in Europe/Amsterdam timezone.
+   * Get the stops of a single journey (one vehicle trip), in driving order.
+   * Caches results for 1 minute. Throws when the journey can't be fetched,
+   * so an outage isn't mistaken for a journey without stops.
    */
-  _parseDateTime(datetime) {
-    if (!datetime) return null;
+  async getJourney(journeyId) {
+    if (!journeyId) {
+      return [];
+    }
+
+    const now = Date.now();
+    const cached = this.journeyCache.get(journeyId);
+    if (cached && (now - cached.time) < JOURNEY_CACHE_TTL) {
+      return cached.data;
+    }
+
     try {
-      // The OV API returns times like "2025-12-14T13:31:00" without timezone
-      // These are in Europe/Amsterdam time, so we need to handle that
-      const date = new Date(datetime);
-
-      // If the datetime string doesn't have timezone info, it's interpreted as local time
-      // But Homey runs in UTC, so we need to check if there's a Z or +/- timezone
-      if (!datetime.includes('Z') && !datetime.includes('+') && !/\d{2}:\d{2}:\d{2}-/.test(datetime)) {
-        // No timezone specified - assume Europe/Amsterdam
-        // Get the offset for Amsterdam (CET = +1, CEST = +2)
-        const amsterdamOffset = this._getAmsterdamOffset(date);
-        // Adjust the timestamp: subtract the offset to convert to UTC
-        return new Date(date.getTime() - amsterdamOffset * 60 * 1000);
+      const data = await this._fetch(`/journey/${journeyId}`);
+      const stops = Object.values(data[journeyId]?.Stops || {})
+        .map(stop => {
+          const plannedArrival = AmsterdamTime.parse(stop.TargetArrivalTime, stop.OperationDate);
+          const expectedArrival = AmsterdamTime.parse(stop.ExpectedArrivalTime, stop.OperationDate);
+          const plannedDeparture = AmsterdamTime.parse(stop.TargetDepartureTime, stop.OperationDate);
+          const expectedDeparture = AmsterdamTime.parse(stop.ExpectedDepartureTime, stop.OperationDate);
+
+          return {
+            order: parseInt(stop.UserStopOrderNumber, 10) || 0,
+            name: stop.TimingPointName || '',
+            town: stop.TimingPointTown || '',
+            stop_area_code: stop.StopAreaCode || '',
+            timing_point_code: stop.TimingPointCode || '',
+            line: stop.LinePublicNumber || '',
+            destination: stop.DestinationName50 || stop.DestinationName || '',
+            transport_type: this._mapTransportType(stop.TransportType || ''),
+            status: this._mapStatus(stop.TripStopStatus || ''),
+            // Unmapped, to tell a vehicle driving towards the stop from one standing at it
+            trip_status: (stop.TripStopStatus || '').toLowerCase(),
+            arrival_timestamp: expectedArrival || plannedArrival || 0,
+            departure_timestamp: expectedDeparture || plannedDeparture || 0,
+          };
+        })
+        .sort((a, b) => a.order - b.order);
+
+      this.journeyCache.set(journeyId, {
+        time: now,
+        data: stops,
+      });
+
+      return stops;
+    } catch (error) {
+      // A journey OVapi doesn't know simply has no stops
+      if (error.statusCode === 404) {
+        return [];
+      }
+
+      this.homey.error(`Failed to fetch journey ${journeyId}:`, error.message);
+      throw new Error(this.homey.__('errors.data_unavailable'));
+    }
+  }
+
+  /**
+   * Follow the journey of a departure to find its vehicle. Returns how many
+   * stops it is away from the departure's stop, the last stop it reached,
+   * and whether it is `driving` or still `at_origin`. Returns null when the
+   * journey or the vehicle can't be found, e.g. for trains from NS.
+   */
+  async getVehicleProgress(departure) {
+    const stops = await this.getJourney(departure?.journey_id);
+    const target = stops.findIndex(stop => stop.timing_point_code === departure.timing_point_code);
+    if (target < 0) {
+      return null;
+    }
+
+    // The vehicle is at the last stop it arrived at or passed
+    let current = -1;
+    for (let i = 0; i <= target; i++) {
+      if (['arrived', 'passed'].includes(stops[i].trip_status)) {
+        current = i;
       }
+    }
 
-      return date;
-    } catch {
+    if (stops[target].trip_status === 'passed') {
       return null;
     }
+
+    const driving = current > 0 || stops[0].trip_status === 'passed';
+    const at = stops[Math.max(current, 0)];
+
+    return {
+      status: driving ? 'driving' : 'at_origin',
+      stops_away: target - Math.max(current, 0),
+      current_stop: at.name,
+      current_town: at.town,
+    };
   }
 
   /**
-   * Get the UTC offset for Amsterdam in minutes.
-   * CET (winter) = +60 minutes, CEST (summer) = +120 minutes
+   * Get the vehicles arriving at a stop that come from an origin stop, found
+   * by following their journeys. Each arrival is a departure of the stop with
+   * the name of the origin and when the vehicle leaves it. `filter` limits
+   * which departures are checked, e.g. to a line.
    */
-  _getAmsterdamOffset(date) {
-    // Simple DST check for Europe: last Sunday of March to last Sunday of October
-    const year = date.getFullYear();
-    const month = date.getMonth();
-    const day = date.getDate();
+  async getArrivalsFrom(stopId, originId, filter = () => true) {
+    if (!stopId || !originId) {
+      return [];
+    }
 
-    // Find last Sunday of March
-    const marchLast = new Date(year, 2, 31);
-    const dstStart = 31 - marchLast.getDay();
+    const originIds = this.groups.expand([originId]);
+    const candidates = (await this.getDepartures(stopId, 50))
+      .filter(departure => departure.journey_id && filter(departure))
+      .slice(0, ARRIVAL_CHECK_LIMIT);
+
+    const arrivals = [];
+    for (const departure of candidates) {
+      const stops = await this.getJourney(departure.journey_id);
+      const target = stops.findIndex(stop => stop.timing_point_code === departure.timing_point_code);
+      const origin = stops.slice(0, Math.max(target, 0))
+        .find(stop => originIds.some(id => this.isAtStop(stop, id)));
+
+      if (origin) {
+        arrivals.push({
+          ...departure,
+          origin_name: origin.name,
+          origin_timestamp: origin.departure_timestamp,
+        });
+      }
+    }
 
-    // Find last Sunday of October
-    const octLast = new Date(year, 9, 31);
-    const dstEnd = 31 - octLast.getDay();
+    return arrivals.sort((a, b) => a.arrival_timestamp - b.arrival_timestamp);
+  }
 
-    // Check if we're in DST
-    const isDST = (month > 2 && month < 9) ||
-                  (month === 2 && day >= dstStart) ||
-                  (month === 9 && day < dstEnd);
+  /**
+   * Get the stop patterns a line drives, each as a list of stops in order.
+   * Caches results for 24 hours.
+   */
+  async getLineRoutes(lineId) {
+    if (!lineId) {
+      return [];
+    }
+
+    const now = Date.now();
+    const cached = this.lineCache.get(lineId);
+    if (cached && (now - cached.time) < LINE_CACHE_TTL) {
+      return cached.data;
+    }
+
+    try {
+      const data = await this._fetch(`/line/${lineId}`);
+      const network = data[lineId]?.Network || {};
+
+      const routes = Object.values(network).map(pattern => Object.values(pattern)
+        .sort((a, b) => (parseInt(a.UserStopOrderNumber, 10) || 0) - (parseInt(b.UserStopOrderNumber, 10) || 0))
+        .map(stop => ({
+          name: stop.TimingPointName || '',
+          stop_area_code: stop.StopAreaCode || '',
+          timing_point_code: stop.TimingPointCode || '',
+        })));
+
+      this.lineCache.set(lineId, {
+        time: now,
+        data: routes,
+      });
+
+      return routes;
+    } catch (error) {
+      this.homey.error(`Failed to fetch line ${lineId}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Format a timestamp (milliseconds) as HH:MM.
+   */
+  formatTimestamp(timestamp) {
+    return timestamp ? AmsterdamTime.formatTime(timestamp) : '';
+  }
+
+  /**
+   * Format a timestamp (milliseconds) as YYYY-MM-DD HH:MM.
+   */
+  formatDateTime(timestamp) {
+    return timestamp ? `${AmsterdamTime.formatDate(timestamp)} ${AmsterdamTime.formatTime(timestamp)}` : '';
+  }
+
+  /**
+   * Convert a time of day ("HH:MM", Europe/Amsterdam) to the timestamp of
+   * its next occurrence.
+   */
+  parseTimeOfDay(time) {
+    return AmsterdamTime.nextTimeOfDay(time);
+  }
+
+  /**
+   * Get minutes until a departure. For a departure of a stop group this is
+   * the time until you have to leave, after the walk to its stop.
+   */
+  getMinutesUntil(departure) {
+    const now = Date.now();
+    const departureTime = this._getLeaveTime(departure);
+    return Math.max(0, Math.round((departureTime - now) / 60000));
+  }
+
+  /**
+   * Get minutes until a vehicle arrives at the stop.
+   */
+  getMinutesUntilArrival(departure) {
+    const arrival = departure.arrival_timestamp || departure.timestamp;
+    return Math.max(0, Math.round((arrival - Date.now()) / 60000));
+  }
+
+  _getLeaveTime(departure) {
+    return departure.timestamp - (departure.walk_minutes || 0) * 60000;
+  }
+
+  /**
+   * Merge the departures of the stops in a group, sorted by when you have to
+   * leave. A trip that stops at several stops of the group is only listed at
+   * the stop that lets you leave latest, and departures you can no longer
+   * walk to are left out. Fails only when none of the stops has data.
+   */
+  async _getGroupDepartures(groupId, includeCancelled, maxAge) {
+    const group = this.groups.get(groupId);
+    if (!group) {
+      return [];
+    }
+
+    const now = Date.now();
+    const trips = new Map();
+    let failure = null;
+    let succeeded = false;
+
+    for (const stop of group.stops) {
+      let departures;
+      try {
+        departures = await this.getDepartures(stop.id, 50, { includeCancelled, maxAge });
+        succeeded = true;
+      } catch (error) {
+        failure = error;
+        continue;
+      }
+
+      for (const departure of departures) {
+        const merged = { ...departure, stop_id: stop.id, walk_minutes: stop.walk_minutes };
+        if (merged.walk_minutes > 0 && this._getLeaveTime(merged) < now) continue;
+
+        const key = departure.journey_id || departure.uid;
+        const existing = trips.get(key);
+        if (!existing || this._getLeaveTime(merged) > this._getLeaveTime(existing)) {
+          trips.set(key, merged);
+        }
+      }
+    }
+
+    if (!succeeded && failure) {
+      throw failure;
+    }
+
+    return Array.from(trips.values())
+      .sort((a, b) => this._getLeaveTime(a) - this._getLeaveTime(b));
+  }
+
+  /**
+   * Fetch the stops (timing points with their passes) for a stop id.
+   */
+  async _fetchStops(stopId) {
+    if (this.isTimingPoint(stopId)) {
+      const code = stopId.slice(TIMING_POINT_PREFIX.length);
+      const data = await this._fetch(`/tpc/${code}`);
+      return data[code] ? [data[code]] : [];
+    }
+
+    const data = await this._fetch(`/stopareacode/${stopId}`);
+    return Object.values(data[stopId] || {});
+  }
+
+  /**
+   * Parse the passes of a stop id into sorted departures and cache them.
+   */
+  _storeDepartures(stopId, stops, time) {
+    const departures = [];
+
+    // Iterate through all stops in this area
+    for (const stop of stops) {
+      const passes = stop.Passes || {};
+
+      for (const [journeyId, departure] of Object.entries(passes)) {
+        const planned = AmsterdamTime.parse(departure.TargetDepartureTime, departure.OperationDate);
+        const expected = AmsterdamTime.parse(departure.ExpectedDepartureTime, departure.OperationDate);
+        const plannedArrival = AmsterdamTime.parse(departure.TargetArrivalTime, departure.OperationDate);
+        const expectedArrival = AmsterdamTime.parse(departure.ExpectedArrivalTime, departure.OperationDate);
+
+        let delayMinutes = 0;
+        if (planned && expected) {
+          delayMinutes = Math.round((expected - planned) / 60000);
+        }
 
-    return isDST ? 120 : 60; // CEST = +2h, CET = +1h
+        const status = this._mapStatus(departure.TripStopStatus || '');
+        const timestamp = expected || planned || 0;
+
+        // Skip passed departures or invalid timestamps
+        if (status === 'passed' || timestamp === 0) {
+          continue;
+        }
+
+        departures.push({
+          line: departure.LinePublicNumber || '',
+          destination: departure.DestinationName50 || departure.DestinationName || '',
+          status,
+          planned_time: this.formatTimestamp(planned),
+          expected_time: this.formatTimestamp(expected),
+          delay_minutes: delayMinutes,
+          transport_type: this._mapTransportType(departure.TransportType || ''),
+          operator: departure.OperatorCode || '',
+          timestamp,
+          // The first stop of a journey has no arrival, so use the departure
+          planned_arrival_time: this.formatTimestamp(plannedArrival || planned),
+          expected_arrival_time: this.formatTimestamp(expectedArrival || expected),
+          arrival_timestamp: expectedArrival || plannedArrival || timestamp,
+          journey_id: journeyId,
+          line_id: this._lineId(departure),
+          timing_point_code: departure.TimingPointCode || '',
+          platform: '',
+          planned_platform: '',
+          // Unique ID for tracking triggered departures
+          uid: `${stopId}_${departure.LinePublicNumber}_${departure.DestinationName50 || departure.DestinationName}_${planned || 0}`,
+        });
+      }
+    }
+
+    // Sort by timestamp
+    departures.sort((a, b) => a.timestamp - b.timestamp);
+
+    return this._cacheDepartures(stopId, departures, this._parseMessages(stops, departures), time);
   }
 
   /**
-   * Format a Date object as HH:MM.
+   * Store the departures and messages of a stop in the cache.
    */
-  _formatTime(date) {
-    return date.toLocaleTimeString('nl-NL', {
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: false,
+  _cacheDepartures(stopId, departures, messages, time) {
+    this.departuresCache.set(stopId, {
+      time,
+      data: departures,
+      messages,
     });
+    this.failedFetches.delete(stopId);
+
+    return departures;
+  }
+
+  /**
+   * Get the data source for a stop id, or null for OVapi stops.
+   */
+  _getSource(stopId) {
+    return this.sources.find(source => (stopId || '').startsWith(source.prefix)) || null;
+  }
+
+  /**
+   * Collect stop results from the enabled data sources. A failing source
+   * doesn't block the OVapi results.
+   */
+  async _searchSources(search) {
+    const results = [];
+
+    for (const source of this.sources) {
+      if (!source.isEnabled()) continue;
+
+      try {
+        results.push(...await search(source));
+      } catch (error) {
+        this.homey.error('Failed to search data source:', error.message);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Parse the general messages of the stops. A message shown at several
+   * stops is listed once. Messages without lines of their own affect the
+   * lines departing from the stops they are shown at.
+   */
+  _parseMessages(stops, departures) {
+    const messages = new Map();
+
+    for (const stop of stops) {
+      for (const message of Object.values(stop.GeneralMessages || {})) {
+        const id = `${message.DataOwnerCode}_${message.MessageCodeDate}_${message.MessageCodeNumber}`;
+        const timingPointCode = message.TimingPointCode || stop.Stop?.TimingPointCode || '';
+        const linePlanningNumbers = [].concat(message.LinePlanningNumber || []);
+
+        const lines = departures
+          .filter(dep => (linePlanningNumbers.length > 0
+            ? linePlanningNumbers.includes(dep.line_id.split('_')[1])
+            : dep.timing_point_code === timingPointCode))
+          .map(dep => dep.line);
+
+        const existing = messages.get(id);
+        if (existing) {
+          existing.lines = Array.from(new Set([...existing.lines, ...lines]));
+          continue;
+        }
+
+        messages.set(id, {
+          id,
+          text: (message.MessageContent || '').trim(),
+          reason: (message.ReasonContent || '').trim(),
+          effect: (message.EffectContent || '').trim(),
+          advice: (message.AdviceContent || message.MeasureContent || '').trim(),
+          start_timestamp: AmsterdamTime.parse(message.MessageStartTime) || 0,
+          end_timestamp: AmsterdamTime.parse(message.MessageEndTime),
+          lines: Array.from(new Set(lines)),
+        });
+      }
+    }
+
+    return Array.from(messages.values());
+  }
+
+  /**
+   * Get the last good departures of a stop after a failed fetch, marked as
+   * stale. Throws when there is nothing recent enough to serve, so callers
+   * don't mistake an outage for a stop without departures.
+   */
+  _getStaleDepartures(stopId) {
+    const now = Date.now();
+    const cached = this.departuresCache.get(stopId);
+
+    if (!cached || (now - cached.time) > STALE_DEPARTURES_MAX_AGE) {
+      throw new Error(this.homey.__('errors.data_unavailable'));
+    }
+
+    return cached.data
+      .filter(dep => dep.timestamp > now - DEPARTED_GRACE)
+      .map(dep => ({ ...dep, stale: true }));
+  }
+
+  /**
+   * Drop expired cache entries, so journeys, lines and stops that are no
+   * longer asked for don't pile up. Departures are kept for as long as they
+   * can be served as stale.
+   */
+  _pruneCaches(now) {
+    const ttls = [
+      [this.departuresCache, STALE_DEPARTURES_MAX_AGE],
+      [this.journeyCache, JOURNEY_CACHE_TTL],
+      [this.lineCache, LINE_CACHE_TTL],
+      [this.timingPointsCache, TIMING_POINTS_CACHE_TTL],
+    ];
+
+    for (const [cache, ttl] of ttls) {
+      for (const [key, entry] of cache) {
+        if (now - entry.time >= ttl) {
+          cache.delete(key);
+        }
+      }
+    }
+
+    for (const [stopId, time] of this.failedFetches) {
+      if (now - time >= DEPARTURES_CACHE_TTL) {
+        this.failedFetches.delete(stopId);
+      }
+    }
+  }
+
+  _markFailed(stopIds, time) {
+    for (const stopId of stopIds) {
+      this.failedFetches.set(stopId, time);
+    }
+  }
+
+  /**
+   * Leave out cancelled departures, unless they are asked for.
+   */
+  _filterCancelled(departures, includeCancelled) {
+    if (includeCancelled) {
+      return departures;
+    }
+    return departures.filter(dep => dep.status !== 'cancelled');
+  }
+
+  /**
+   * Build the OV API line id (as used by /line/) for a pass.
+   */
+  _lineId(pass) {
+    if (!pass.DataOwnerCode || !pass.LinePlanningNumber || !pass.LineDirection) {
+      return '';
+    }
+    return `${pass.DataOwnerCode}_${pass.LinePlanningNumber}_${pass.LineDirection}`;
+  }
+
+  /**
+   * Format a distance in meters as "350 m" or "1.2 km".
+   */
+  _formatDistance(meters) {
+    if (meters < 1000) {
+      return `${Math.round(meters / 10) * 10} m`;
+    }
+    return `${(meters / 1000).toFixed(1)} km`;
   }
 
   /**
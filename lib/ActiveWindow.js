@@ -0,0 +1,52 @@
+'use strict';
+
+const AmsterdamTime = require('./AmsterdamTime');
+
+// Days of the week (0 is Sunday) for each value of the `days` argument
+const DAYS = {
+  all: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekend: [0, 6],
+  sun: [0],
+  mon: [1],
+  tue: [2],
+  wed: [3],
+  thu: [4],
+  fri: [5],
+  sat: [6],
+};
+
+/**
+ * Parse a time of day ("HH:MM") to minutes since midnight.
+ */
+function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Check the optional `active_from`, `active_until` and `days` arguments of a
+ * trigger against the Amsterdam time. A window that ends before it starts,
+ * like 22:00 until 02:00, runs past midnight and belongs to the day it
+ * started on.
+ */
+function isActive({ active_from: from, active_until: until, days } = {}, now = Date.now()) {
+  const { weekday, minutes } = AmsterdamTime.getDayTime(now);
+  const start = parseTime(from) ?? 0;
+  const end = parseTime(until) ?? 24 * 60;
+
+  let day = weekday;
+  if (start <= end) {
+    if (minutes < start || minutes >= end) return false;
+  } else {
+    if (minutes >= end && minutes < start) return false;
+    if (minutes < end) day = (weekday + 6) % 7;
+  }
+
+  return (DAYS[days] || DAYS.all).includes(day);
+}
+
+module.exports = {
+  DAYS,
+  isActive,
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Conversion between timestamps and Europe/Amsterdam wall clock time, which
+ * the OV API uses for all its times. Offsets come from the Intl time zone
+ * data, so results don't depend on the time zone of the host.
+ */
+
+const TIME_ZONE = 'Europe/Amsterdam';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Local date and time parts as "YYYY-MM-DDTHH:MM(:SS)" or a time of day
+// "HH:MM(:SS)". Hours past 23 are used for trips after midnight.
+const LOCAL_DATETIME = /^(?:(\d{4})-(\d{2})-(\d{2})T)?(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+const EXPLICIT_ZONE = /(?:Z|[+-]\d{2}:?\d{2})$/;
+
+const partsFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+/**
+ * Get the Amsterdam wall clock parts of a timestamp.
+ */
+function getParts(timestamp) {
+  const parts = {};
+  for (const { type, value } of partsFormat.formatToParts(new Date(timestamp))) {
+    parts[type] = parseInt(value, 10);
+  }
+  return parts;
+}
+
+/**
+ * Get the UTC offset of Amsterdam in minutes at a timestamp.
+ */
+function getOffset(timestamp) {
+  const { year, month, day, hour, minute, second } = getParts(timestamp);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((wallClock - Math.floor(timestamp / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert Amsterdam wall clock parts to a timestamp. Times skipped when the
+ * clocks go forward are moved forward as well, times that occur twice when
+ * the clocks go back resolve to the first occurrence.
+ */
+function fromWallClock(year, month, day, hour, minute, second = 0) {
+  // Date.UTC rolls hours past 23 over to the next day
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  const before = getOffset(wallClock - DAY);
+  const after = getOffset(wallClock + DAY);
+
+  // The largest offset gives the earliest moment
+  for (const offset of [Math.max(before, after), Math.min(before, after)]) {
+    const timestamp = wallClock - offset * 60000;
+    if (getOffset(timestamp) === offset) {
+      return timestamp;
+    }
+  }
+
+  // Skipped time, keep the offset from before the switch
+  return wallClock - before * 60000;
+}
+
+/**
+ * Parse a time from the OV API to a timestamp. Times without a zone are
+ * Amsterdam time. A time of day without a date, like "24:35:00" for a trip
+ * after midnight, is taken from the operating date.
+ */
+function parse(datetime, operatingDate = null) {
+  if (!datetime || typeof datetime !== 'string') return null;
+
+  if (EXPLICIT_ZONE.test(datetime)) {
+    const timestamp = Date.parse(datetime);
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+
+  const match = LOCAL_DATETIME.exec(datetime.trim());
+  if (!match) return null;
+
+  let [, year, month, day] = match;
+  const [, , , , hour, minute, second] = match;
+
+  if (!year) {
+    const date = /^(\d{4})-(\d{2})-(\d{2})$/.exec(operatingDate || '');
+    if (!date) return null;
+    [, year, month, day] = date;
+  }
+
+  return fromWallClock(
+    parseInt(year, 10),
+    parseInt(month, 10),
+    parseInt(day, 10),
+    parseInt(hour, 10),
+    parseInt(minute, 10),
+    parseInt(second || '0', 10),
+  );
+}
+
+/**
+ * Format a timestamp as "HH:MM" in Amsterdam time.
+ */
+function formatTime(timestamp) {
+  const { hour, minute } = getParts(timestamp);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Format the Amsterdam date of a timestamp as "YYYY-MM-DD".
+ */
+function formatDate(timestamp) {
+  const { year, month, day } = getParts(timestamp);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Get the Amsterdam day of the week (0 is Sunday) and minutes since
+ * midnight of a timestamp.
+ */
+function getDayTime(timestamp) {
+  const { year, month, day, hour, minute } = getParts(timestamp);
+  return {
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+    minutes: hour * 60 + minute,
+  };
+}
+
+/**
+ * Get the timestamp of the next occurrence of a time of day ("HH:MM",
+ * Amsterdam time) after `now`.
+ */
+function nextTimeOfDay(time, now = Date.now()) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  if (hour > 23 || minute > 59) return null;
+
+  const { year, month, day } = getParts(now);
+  const today = fromWallClock(year, month, day, hour, minute);
+  if (today >= now) return today;
+
+  // Take tomorrow's date rather than adding 24 hours, days around a DST
+  // switch are 23 or 25 hours long
+  return fromWallClock(year, month, day + 1, hour, minute);
+}
+
+module.exports = {
+  TIME_ZONE,
+  getOffset,
+  fromWallClock,
+  parse,
+  formatTime,
+  formatDate,
+  getDayTime,
+  nextTimeOfDay,
+};
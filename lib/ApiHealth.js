@@ -0,0 +1,68 @@
+'use strict';
+
+const FAILURE_THRESHOLD = 2; // Consecutive failed fetches before the data counts as unavailable
+
+/**
+ * Keeps track of how the OV API is doing: per stop the consecutive failures,
+ * the last successful fetch and its latency, and overall whether the data
+ * source is available.
+ */
+class ApiHealth {
+  constructor() {
+    this.stops = new Map();
+    this.consecutiveFailures = 0;
+    this.lastSuccess = null;
+    this.lastError = null;
+  }
+
+  recordSuccess(stopIds, latency) {
+    const now = Date.now();
+
+    for (const stopId of stopIds) {
+      const stop = this._getStop(stopId);
+      stop.consecutiveFailures = 0;
+      stop.lastSuccess = now;
+      stop.latency = latency;
+    }
+
+    this.consecutiveFailures = 0;
+    this.lastSuccess = now;
+  }
+
+  recordFailure(stopIds, error) {
+    for (const stopId of stopIds) {
+      const stop = this._getStop(stopId);
+      stop.consecutiveFailures++;
+      stop.lastError = error.message;
+    }
+
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+  }
+
+  /**
+   * Whether the data source is available: false after several fetches in a
+   * row have failed, until one succeeds again.
+   */
+  isAvailable() {
+    return this.consecutiveFailures < FAILURE_THRESHOLD;
+  }
+
+  getStop(stopId) {
+    return this.stops.get(stopId) || null;
+  }
+
+  _getStop(stopId) {
+    if (!this.stops.has(stopId)) {
+      this.stops.set(stopId, {
+        consecutiveFailures: 0,
+        lastSuccess: null,
+        lastError: null,
+        latency: null,
+      });
+    }
+    return this.stops.get(stopId);
+  }
+}
+
+module.exports = ApiHealth;
@@ -0,0 +1,87 @@
+'use strict';
+
+const RETENTION = 60 * 60 * 1000; // Forget departures not seen for 1 hour
+
+/**
+ * Remembers the last seen delay and expected time per stop and departure
+ * uid, so changes between polls can be detected. A stop group and its stops
+ * share departure uids, so each is tracked on its own. Increases are measured from the
+ * lowest delay a departure had, so a delay that grows a little each poll is
+ * still noticed, whatever the poll interval.
+ */
+class DelayTracker {
+  constructor() {
+    this.seen = new Map();
+  }
+
+  /**
+   * Record the current departures of a stop and return the ones whose delay or
+   * expected time changed since the previous poll, with the previous values.
+   * Departures seen for the first time are not reported.
+   */
+  update(stopId, departures) {
+    const now = Date.now();
+    const changes = [];
+
+    for (const departure of departures) {
+      const key = `${stopId}_${departure.uid}`;
+      const previous = this.seen.get(key);
+
+      if (previous && (previous.delay_minutes !== departure.delay_minutes
+        || previous.expected_time !== departure.expected_time)) {
+        changes.push({ departure, previous });
+      }
+
+      // Lowest delay since the increase of each size was last reported
+      const baselines = previous?.baselines || new Map();
+      for (const [minutes, delay] of baselines) {
+        baselines.set(minutes, Math.min(delay, departure.delay_minutes));
+      }
+
+      this.seen.set(key, {
+        delay_minutes: departure.delay_minutes,
+        expected_time: departure.expected_time,
+        lowest: Math.min(previous?.lowest ?? Infinity, departure.delay_minutes),
+        baselines,
+        lastSeen: now,
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Check whether the delay of a departure grew by at least `minutes` since
+   * it was first seen, or since this was last reported for the same number
+   * of minutes. Returns the delay it grew from, or null.
+   */
+  checkIncrease(stopId, departure, minutes) {
+    const entry = this.seen.get(`${stopId}_${departure.uid}`);
+    if (!entry) {
+      return null;
+    }
+
+    const from = entry.baselines.get(minutes) ?? entry.lowest;
+    if (departure.delay_minutes - from < minutes) {
+      return null;
+    }
+
+    entry.baselines.set(minutes, departure.delay_minutes);
+    return from;
+  }
+
+  /**
+   * Forget departures that haven't been seen for a while.
+   */
+  cleanup() {
+    const expiry = Date.now() - RETENTION;
+
+    for (const [uid, entry] of this.seen) {
+      if (entry.lastSeen < expiry) {
+        this.seen.delete(uid);
+      }
+    }
+  }
+}
+
+module.exports = DelayTracker;
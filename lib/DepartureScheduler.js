@@ -0,0 +1,87 @@
+'use strict';
+
+const MIN_POLL_INTERVAL = 30 * 1000; // 30 seconds, close to a watched departure
+const MEDIUM_POLL_INTERVAL = 60 * 1000; // 1 minute
+const MAX_POLL_INTERVAL = 5 * 60 * 1000; // 5 minutes, nothing due
+const SOON_MINUTES = 20; // Departures within this time poll at the minimum interval
+const DUE_MINUTES = 60; // Departures within this time poll at the medium interval
+
+/**
+ * Shared polling loop for flow triggers and devices.
+ * Each poll fetches the departures of all watched stops in batched requests,
+ * then lets the app evaluate its triggers against the cached results. The
+ * interval adapts to how soon the next watched departure is.
+ */
+class DepartureScheduler {
+  /**
+   * `getStopIds` returns the stop ids to poll, `onPoll` is called after the
+   * departures of those stops have been fetched.
+   */
+  constructor(homey, api, { getStopIds, onPoll }) {
+    this.homey = homey;
+    this.api = api;
+    this.getStopIds = getStopIds;
+    this.onPoll = onPoll;
+    this.timeout = null;
+    this.interval = MIN_POLL_INTERVAL;
+    this.stopIds = [];
+  }
+
+  start() {
+    this._schedule(MIN_POLL_INTERVAL);
+  }
+
+  stop() {
+    if (this.timeout) {
+      this.homey.clearTimeout(this.timeout);
+      this.timeout = null;
+    }
+  }
+
+  /**
+   * Poll all watched stops once and schedule the next poll.
+   */
+  async poll() {
+    try {
+      this.stopIds = Array.from(new Set(await this.getStopIds())).filter(Boolean);
+      await this.api.prefetchDepartures(this.stopIds);
+      await this.onPoll();
+      this.interval = await this._getNextInterval();
+    } catch (error) {
+      this.homey.error('Error polling departures:', error.message);
+      this.interval = MIN_POLL_INTERVAL;
+    }
+
+    this._schedule(this.interval);
+  }
+
+  _schedule(interval) {
+    this.stop();
+    this.timeout = this.homey.setTimeout(() => this.poll(), interval);
+  }
+
+  /**
+   * Poll often when a watched departure is near, back off when nothing is due.
+   */
+  async _getNextInterval() {
+    let soonest = Infinity;
+
+    for (const stopId of this.stopIds) {
+      try {
+        const [next] = await this.api.getDepartures(stopId, 1);
+        if (next) {
+          soonest = Math.min(soonest, this.api.getMinutesUntil(next));
+        }
+      } catch (error) {
+        // No data for this stop, keep polling often until it comes back
+        return MIN_POLL_INTERVAL;
+      }
+    }
+
+    if (soonest <= SOON_MINUTES) return MIN_POLL_INTERVAL;
+    if (soonest <= DUE_MINUTES) return MEDIUM_POLL_INTERVAL;
+    return MAX_POLL_INTERVAL;
+  }
+}
+
+module.exports = DepartureScheduler;
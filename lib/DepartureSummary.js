@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Builds a readable, localized sentence for a list of departures, like
+ * "Tram 5 to Centraal in 4 minutes, then in 12 minutes (3 min late)."
+ * Texts come from the `summary` section of the locales, so the sentence
+ * follows the Homey language.
+ */
+class DepartureSummary {
+  constructor(homey, api) {
+    this.homey = homey;
+    this.api = api;
+  }
+
+  build(departures) {
+    if (departures.length === 0) {
+      return this.homey.__('summary.none');
+    }
+
+    const [first, ...rest] = departures;
+    const parts = [this._describe(first, 'summary.departure')];
+
+    for (const dep of rest) {
+      const sameService = dep.line === first.line && dep.destination === first.destination;
+      parts.push(this._describe(dep, sameService ? 'summary.then_same' : 'summary.then_other'));
+    }
+
+    const sentence = parts.join(', ');
+    return `${sentence.charAt(0).toUpperCase()}${sentence.slice(1)}.`;
+  }
+
+  _describe(dep, key) {
+    return this.homey.__(key, {
+      type: this.homey.__(`summary.transport_types.${dep.transport_type}`),
+      line: dep.line,
+      destination: dep.destination,
+      when: this._when(dep),
+    });
+  }
+
+  _when(dep) {
+    if (dep.status === 'cancelled') {
+      return this.homey.__('summary.cancelled', { time: dep.planned_time });
+    }
+
+    const minutes = this.api.getMinutesUntil(dep);
+    let when;
+    if (minutes === 0) {
+      when = this.homey.__('summary.now');
+    } else if (minutes === 1) {
+      when = this.homey.__('summary.in_minute');
+    } else {
+      when = this.homey.__('summary.in_minutes', { minutes });
+    }
+
+    if (dep.delay_minutes > 0) {
+      when += ` ${this.homey.__('summary.delayed', { minutes: dep.delay_minutes })}`;
+    }
+    return when;
+  }
+}
+
+module.exports = DepartureSummary;
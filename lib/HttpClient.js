@@ -0,0 +1,106 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT = 10000; // 10 seconds for the whole request
+const DEFAULT_RETRIES = 2; // Retries after the first attempt
+const BACKOFF_DELAY = 1000; // First retry after 1 second, doubling each retry
+
+/**
+ * Error for a failed request. `retryable` is set for failures that are
+ * worth another attempt: network errors, timeouts, rate limiting and server
+ * errors.
+ */
+class HttpError extends Error {
+  constructor(message, { statusCode = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Small JSON client for the OV API. Certificates are verified, non-2xx
+ * responses are errors, timed out requests are aborted and transient
+ * failures are retried with exponential backoff.
+ */
+class HttpClient {
+  constructor(homey, baseUrl) {
+    this.homey = homey;
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * GET a path and parse the JSON response.
+   */
+  async getJson(path, { timeout = DEFAULT_TIMEOUT, retries = DEFAULT_RETRIES, headers = {} } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._request(`${this.baseUrl}${path}`, timeout, headers);
+      } catch (error) {
+        if (!error.retryable || attempt >= retries) {
+          throw error;
+        }
+        await this._sleep(BACKOFF_DELAY * 2 ** attempt);
+      }
+    }
+  }
+
+  _request(url, timeout, headers) {
+    // Plain HTTP is only used for a local stand-in of the API, like in tests
+    const transport = url.startsWith('http:') ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.get(url, { headers: { Accept: 'application/json', ...headers } }, (response) => {
+        const { statusCode } = response;
+
+        if (statusCode < 200 || statusCode >= 300) {
+          response.resume();
+          reject(new HttpError(`HTTP ${statusCode}`, {
+            statusCode,
+            retryable: statusCode === 429 || statusCode >= 500,
+          }));
+          return;
+        }
+
+        let data = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => data += chunk);
+        response.on('error', error => reject(this._toHttpError(error)));
+        response.on('end', () => {
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(new HttpError('Invalid JSON response', { statusCode }));
+          }
+        });
+      });
+
+      // Abort the request itself on timeout, so the socket doesn't linger
+      const timer = setTimeout(() => {
+        request.destroy(new HttpError('Request timeout', { retryable: true }));
+      }, timeout);
+
+      request.on('close', () => clearTimeout(timer));
+      request.on('error', error => reject(this._toHttpError(error)));
+    });
+  }
+
+  _toHttpError(error) {
+    if (error instanceof HttpError) {
+      return error;
+    }
+    // Certificate problems won't go away by retrying
+    const certificateError = /CERT|SELF_SIGNED|UNABLE_TO_VERIFY|ERR_TLS/.test(error.code || '');
+    return new HttpError(error.message, { retryable: !certificateError });
+  }
+
+  _sleep(delay) {
+    return new Promise(resolve => this.homey.setTimeout(resolve, delay));
+  }
+}
+
+module.exports = HttpClient;
+module.exports.HttpError = HttpError;
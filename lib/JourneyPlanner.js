@@ -0,0 +1,196 @@
+'use strict';
+
+const TRANSFER_MINUTES = 2; // Minimum time to change vehicles
+const MAX_FIRST_LEGS = 8; // Departures from the origin that are followed
+const MAX_TRANSFER_STOPS = 3; // Transfer stops that are checked per plan
+const MAX_TRANSFER_LEGS = 3; // Departures per transfer stop that are followed
+
+/**
+ * Plans journeys between two stops (stop areas or timing points) by chaining
+ * OV API journeys.
+ * Supports direct journeys and journeys with a single transfer.
+ */
+class JourneyPlanner {
+  constructor(api) {
+    this.api = api;
+  }
+
+  /**
+   * Plan journeys from one stop to another.
+   * Without `arriveBy` the journeys are sorted by arrival time, with
+   * `arriveBy` (timestamp) only journeys arriving in time are returned,
+   * latest leave time first.
+   */
+  async plan(fromCode, toCode, options = {}) {
+    if (!fromCode || !toCode || fromCode === toCode) {
+      return [];
+    }
+
+    const walkingMinutes = options.walkingMinutes || 0;
+    const transferMinutes = options.transferMinutes ?? TRANSFER_MINUTES;
+    const arriveBy = options.arriveBy || null;
+
+    // Departures we can still reach after walking to the origin
+    const earliestDeparture = Date.now() + walkingMinutes * 60000;
+    const departures = (await this.api.getDepartures(fromCode, 50))
+      .filter(dep => dep.journey_id && dep.timestamp >= earliestDeparture)
+      .slice(0, MAX_FIRST_LEGS);
+
+    const journeys = new Map();
+    const firstLegs = [];
+
+    for (const departure of departures) {
+      const stops = await this.api.getJourney(departure.journey_id);
+      const leg = this._findLeg(departure, stops, fromCode, toCode);
+
+      if (leg) {
+        const journey = this._buildJourney([leg], walkingMinutes);
+        journeys.set(journey.uid, journey);
+      } else {
+        firstLegs.push({ departure, stops });
+      }
+    }
+
+    for (const journey of await this._planTransfers(firstLegs, fromCode, toCode, transferMinutes, walkingMinutes)) {
+      journeys.set(journey.uid, journey);
+    }
+
+    let results = Array.from(journeys.values());
+
+    if (arriveBy) {
+      results = results
+        .filter(journey => journey.arrival_timestamp <= arriveBy)
+        .sort((a, b) => b.leave_timestamp - a.leave_timestamp);
+    } else {
+      results.sort((a, b) => a.arrival_timestamp - b.arrival_timestamp
+        || b.leave_timestamp - a.leave_timestamp);
+    }
+
+    return results;
+  }
+
+  /**
+   * Find journeys with one transfer. Transfer stops are the stops where a
+   * first leg crosses a line that serves the destination.
+   */
+  async _planTransfers(firstLegs, fromCode, toCode, transferMinutes, walkingMinutes) {
+    if (firstLegs.length === 0) {
+      return [];
+    }
+
+    // Lines serving the destination, and the stops they call at before it
+    const destinationLines = new Set();
+    for (const dep of await this.api.getDepartures(toCode, 50)) {
+      if (dep.line_id) destinationLines.add(dep.line_id);
+    }
+
+    const feederStops = new Set();
+    for (const lineId of destinationLines) {
+      for (const route of await this.api.getLineRoutes(lineId)) {
+        const destinationIndex = route.findIndex(stop => this.api.isAtStop(stop, toCode));
+        for (const stop of route.slice(0, Math.max(0, destinationIndex))) {
+          if (stop.stop_area_code && !this.api.isAtStop(stop, fromCode)) {
+            feederStops.add(stop.stop_area_code);
+          }
+        }
+      }
+    }
+
+    // The first stop on each first leg where we can change to such a line
+    const candidates = [];
+    const transferStops = new Set();
+    for (const { departure, stops } of firstLegs) {
+      const originIndex = stops.findIndex(stop => this.api.isAtStop(stop, fromCode));
+      if (originIndex === -1) continue;
+
+      const transferStop = stops.slice(originIndex + 1).find(stop => feederStops.has(stop.stop_area_code));
+      if (!transferStop) continue;
+
+      if (!transferStops.has(transferStop.stop_area_code)) {
+        if (transferStops.size >= MAX_TRANSFER_STOPS) continue;
+        transferStops.add(transferStop.stop_area_code);
+      }
+
+      candidates.push({
+        firstLeg: this._findLeg(departure, stops, fromCode, transferStop.stop_area_code),
+        transferCode: transferStop.stop_area_code,
+      });
+    }
+
+    const journeys = [];
+    for (const { firstLeg, transferCode } of candidates) {
+      if (!firstLeg) continue;
+
+      const earliestTransfer = firstLeg.arrival_timestamp + transferMinutes * 60000;
+      const connections = (await this.api.getDepartures(transferCode, 50))
+        .filter(dep => dep.journey_id
+          && destinationLines.has(dep.line_id)
+          && dep.timestamp >= earliestTransfer)
+        .slice(0, MAX_TRANSFER_LEGS);
+
+      for (const connection of connections) {
+        const stops = await this.api.getJourney(connection.journey_id);
+        const secondLeg = this._findLeg(connection, stops, transferCode, toCode, earliestTransfer);
+        if (secondLeg) {
+          journeys.push(this._buildJourney([firstLeg, secondLeg], walkingMinutes));
+          break;
+        }
+      }
+    }
+
+    return journeys;
+  }
+
+  /**
+   * Find the part of a journey that runs from one stop to another.
+   */
+  _findLeg(departure, stops, fromCode, toCode, after = 0) {
+    const fromIndex = stops.findIndex(stop => this.api.isAtStop(stop, fromCode)
+      && stop.departure_timestamp >= after);
+    if (fromIndex === -1) return null;
+
+    const to = stops.slice(fromIndex + 1).find(stop => this.api.isAtStop(stop, toCode));
+    if (!to) return null;
+
+    const from = stops[fromIndex];
+
+    return {
+      journey_id: departure.journey_id,
+      line: departure.line,
+      destination: departure.destination,
+      transport_type: departure.transport_type,
+      from: from.name,
+      to: to.name,
+      departure_timestamp: from.departure_timestamp || departure.timestamp,
+      arrival_timestamp: to.arrival_timestamp || to.departure_timestamp,
+    };
+  }
+
+  /**
+   * Combine legs into a journey with leave, departure and arrival times.
+   */
+  _buildJourney(legs, walkingMinutes) {
+    const departureTimestamp = legs[0].departure_timestamp;
+    const arrivalTimestamp = legs[legs.length - 1].arrival_timestamp;
+    const leaveTimestamp = departureTimestamp - walkingMinutes * 60000;
+
+    return {
+      // Ends with the departure timestamp, like departure uids
+      uid: `${legs.map(leg => leg.journey_id).join('+')}_${departureTimestamp}`,
+      leave_timestamp: leaveTimestamp,
+      departure_timestamp: departureTimestamp,
+      arrival_timestamp: arrivalTimestamp,
+      leave_time: this.api.formatTimestamp(leaveTimestamp),
+      departure_time: this.api.formatTimestamp(departureTimestamp),
+      arrival_time: this.api.formatTimestamp(arrivalTimestamp),
+      transfers: legs.length - 1,
+      legs: legs.map(leg => ({
+        ...leg,
+        departure_time: this.api.formatTimestamp(leg.departure_timestamp),
+        arrival_time: this.api.formatTimestamp(leg.arrival_timestamp),
+      })),
+    };
+  }
+}
+
+module.exports = JourneyPlanner;
@@ -0,0 +1,169 @@
+'use strict';
+
+const AmsterdamTime = require('./AmsterdamTime');
+const HttpClient = require('./HttpClient');
+const StopIndex = require('./StopIndex');
+
+const BASE_URL = 'https://gateway.apiportal.ns.nl/reisinformatie-api';
+const API_KEY_SETTING = 'nsApiKey';
+const STATIONS_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_JOURNEYS = 40; // Departures per request
+
+/**
+ * Data source for Dutch Railways (NS) train stations, which OVapi barely
+ * covers. Station ids look like `ns:<station code>`, e.g. `ns:UT`, and
+ * departures come in the same shape as OVapi departures, with platforms.
+ * Needs an NS API subscription key in the app settings.
+ */
+class NsSource {
+  constructor(homey, { baseUrl = BASE_URL } = {}) {
+    this.homey = homey;
+    this.http = new HttpClient(homey, baseUrl);
+    this.prefix = 'ns:';
+    this.stationsCache = null;
+    this.stationsCacheTime = 0;
+    this.stopIndex = new StopIndex();
+  }
+
+  isEnabled() {
+    return Boolean(this.homey.settings.get(API_KEY_SETTING));
+  }
+
+  /**
+   * Search train stations by name.
+   */
+  async search(query, limit) {
+    const index = await this._getStopIndex();
+    return index.search(query, limit).map(station => this._toResult(station));
+  }
+
+  /**
+   * Get the train stations closest to a location, with their distance.
+   */
+  async nearby(latitude, longitude, limit) {
+    const index = await this._getStopIndex();
+    return index.nearby(latitude, longitude, { limit }).map(station => ({
+      ...this._toResult(station),
+      distance: station.distance,
+    }));
+  }
+
+  /**
+   * Check whether a station id is a known station.
+   */
+  async has(stopId) {
+    const index = await this._getStopIndex();
+    return index.get(stopId) !== null;
+  }
+
+  /**
+   * Get the departures of a station, sorted by time.
+   */
+  async getDepartures(stopId) {
+    const code = stopId.slice(this.prefix.length);
+    const data = await this._fetch(`/api/v2/departures?station=${encodeURIComponent(code)}&maxJourneys=${MAX_JOURNEYS}`);
+
+    const departures = [];
+    for (const departure of data?.payload?.departures || []) {
+      const planned = AmsterdamTime.parse(departure.plannedDateTime);
+      const expected = AmsterdamTime.parse(departure.actualDateTime);
+      const timestamp = expected || planned || 0;
+
+      // Skip departed trains or invalid timestamps
+      if (departure.departureStatus === 'DEPARTED' || timestamp === 0) {
+        continue;
+      }
+
+      const line = departure.product?.shortCategoryName || departure.trainCategory || '';
+      const destination = departure.direction || '';
+
+      departures.push({
+        line,
+        destination,
+        status: departure.cancelled ? 'cancelled' : 'planned',
+        planned_time: planned ? AmsterdamTime.formatTime(planned) : '',
+        expected_time: expected ? AmsterdamTime.formatTime(expected) : '',
+        delay_minutes: planned && expected ? Math.round((expected - planned) / 60000) : 0,
+        transport_type: 'train',
+        operator: departure.product?.operatorName || '',
+        timestamp,
+        // Trains only stop briefly, and departures come without arrival times
+        planned_arrival_time: planned ? AmsterdamTime.formatTime(planned) : '',
+        expected_arrival_time: expected ? AmsterdamTime.formatTime(expected) : '',
+        arrival_timestamp: timestamp,
+        journey_id: '',
+        line_id: '',
+        timing_point_code: '',
+        platform: departure.actualTrack || departure.plannedTrack || '',
+        planned_platform: departure.plannedTrack || '',
+        // Unique ID for tracking triggered departures
+        uid: `${stopId}_${line}_${destination}_${planned || 0}`,
+      });
+    }
+
+    return departures.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Get all stations, cached for 24 hours. An expired list is used when
+   * fetching fails.
+   */
+  async getStations() {
+    const now = Date.now();
+    if (this.stationsCache && (now - this.stationsCacheTime) < STATIONS_CACHE_TTL) {
+      return this.stationsCache;
+    }
+
+    try {
+      const data = await this._fetch('/api/v2/stations', 30000);
+      this.stationsCache = (data?.payload || []).filter(station => station.code && station.namen?.lang);
+      this.stationsCacheTime = now;
+    } catch (error) {
+      this.homey.error('Failed to fetch NS stations:', error.message);
+    }
+
+    return this.stationsCache || [];
+  }
+
+  async _getStopIndex() {
+    if (!this.isEnabled()) {
+      return new StopIndex();
+    }
+
+    const stations = await this.getStations();
+    if (this.stopIndex.stations !== stations) {
+      // Same fields as OVapi stop areas, so the stop index can be shared
+      this.stopIndex.build(stations.map(station => ({
+        StopAreaCode: `${this.prefix}${station.code}`,
+        TimingPointName: station.namen.lang,
+        TimingPointTown: '',
+        Latitude: station.lat,
+        Longitude: station.lng,
+      })));
+      this.stopIndex.stations = stations;
+    }
+    return this.stopIndex;
+  }
+
+  _toResult(station) {
+    return {
+      id: station.id,
+      name: station.name,
+      description: this.homey.__('autocomplete.train_station'),
+    };
+  }
+
+  async _fetch(path, timeout) {
+    const key = this.homey.settings.get(API_KEY_SETTING);
+    if (!key) {
+      throw new Error('No NS API key configured');
+    }
+
+    return this.http.getJson(path, {
+      timeout,
+      headers: { 'Ocp-Apim-Subscription-Key': key },
+    });
+  }
+}
+
+module.exports = NsSource;
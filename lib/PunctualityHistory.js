@@ -0,0 +1,124 @@
+'use strict';
+
+const AmsterdamTime = require('./AmsterdamTime');
+
+const SETTINGS_KEY = 'punctualityHistory';
+const MAX_ENTRIES = 2000; // Oldest departures are dropped beyond this
+const MAX_AGE = 60 * 24 * 60 * 60 * 1000; // 60 days
+const DEPARTED_AFTER = 5 * 60 * 1000; // Departures still listed this long after leaving are recorded anyway
+const ON_TIME_MINUTES = 1; // At most this late counts as on time
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Records the final delay of departures at watched stops, to tell how
+ * punctual a line usually is. Upcoming departures are followed from poll to
+ * poll; once a departure has left, its last seen delay is added to a bounded
+ * history in the app settings.
+ */
+class PunctualityHistory {
+  constructor(homey) {
+    this.homey = homey;
+    this.entries = this.homey.settings.get(SETTINGS_KEY) || [];
+    this.pending = new Map();
+    this.changed = false;
+  }
+
+  /**
+   * Follow the current departures of a stop, and record the ones that left
+   * since the previous poll. Returns the recorded entries.
+   */
+  observe(stopId, departures, now = Date.now()) {
+    const seen = new Set();
+
+    for (const departure of departures) {
+      // Stale data says nothing about the final delay
+      if (departure.stale) continue;
+
+      seen.add(departure.uid);
+      this.pending.set(departure.uid, {
+        stop: stopId,
+        line: departure.line,
+        planned: departure.timestamp - departure.delay_minutes * 60000,
+        timestamp: departure.timestamp,
+        delay: departure.delay_minutes,
+        cancelled: departure.status === 'cancelled',
+      });
+    }
+
+    const recorded = [];
+    for (const [uid, entry] of this.pending) {
+      if (entry.stop !== stopId) continue;
+
+      const departed = seen.has(uid)
+        ? entry.timestamp < now - DEPARTED_AFTER
+        : entry.timestamp < now;
+      if (!departed) continue;
+
+      this.pending.delete(uid);
+      const { timestamp, ...final } = entry;
+      this.entries.push(final);
+      recorded.push(final);
+    }
+
+    if (recorded.length > 0) {
+      this.changed = true;
+    }
+    return recorded;
+  }
+
+  /**
+   * Punctuality of a line at one or more stops over the last days. Only
+   * departures at `hour` (Amsterdam time) count when it is given.
+   */
+  getStats(stopIds, line, { days = 7, hour = null, now = Date.now() } = {}) {
+    const since = now - days * DAY;
+    const lineLower = (line || '').toLowerCase();
+
+    const entries = this.entries.filter(entry => stopIds.includes(entry.stop)
+      && entry.planned >= since
+      && (!lineLower || entry.line.toLowerCase() === lineLower)
+      && (hour === null || Math.floor(AmsterdamTime.getDayTime(entry.planned).minutes / 60) === hour));
+
+    const driven = entries.filter(entry => !entry.cancelled);
+    const totalDelay = driven.reduce((sum, entry) => sum + entry.delay, 0);
+    const onTime = driven.filter(entry => entry.delay <= ON_TIME_MINUTES).length;
+
+    return {
+      count: entries.length,
+      cancelled: entries.length - driven.length,
+      average_delay: driven.length > 0 ? Math.round((totalDelay / driven.length) * 10) / 10 : 0,
+      on_time_percentage: driven.length > 0 ? Math.round((onTime / driven.length) * 100) : 0,
+      delays: driven.map(entry => entry.delay),
+    };
+  }
+
+  /**
+   * Drop old entries and forget departures that were never seen leaving,
+   * e.g. of stops that are no longer watched.
+   */
+  cleanup(now = Date.now()) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.planned >= now - MAX_AGE).slice(-MAX_ENTRIES);
+    if (this.entries.length !== before) {
+      this.changed = true;
+    }
+
+    for (const [uid, entry] of this.pending) {
+      if (entry.timestamp < now - DAY) {
+        this.pending.delete(uid);
+      }
+    }
+  }
+
+  /**
+   * Persist the history, if anything changed since the last save.
+   */
+  save() {
+    if (!this.changed) return;
+
+    this.homey.settings.set(SETTINGS_KEY, this.entries);
+    this.changed = false;
+  }
+}
+
+module.exports = PunctualityHistory;
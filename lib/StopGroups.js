@@ -0,0 +1,152 @@
+'use strict';
+
+const SETTINGS_KEY = 'stopGroups';
+const PREFIX = 'group:';
+
+/**
+ * Saved groups of stops that are used as one stop, e.g. the two bus stops
+ * on either side of home. Each stop in a group has a walking time, so the
+ * departures of a group can be compared by when you have to leave.
+ *
+ * Groups are kept in the app settings as
+ * `[{ id: 'group:<slug>', name, stops: [{ id, name, walk_minutes }] }]`, so
+ * the settings page can edit them directly.
+ */
+class StopGroups {
+  constructor(homey) {
+    this.homey = homey;
+  }
+
+  isGroup(stopId) {
+    return (stopId || '').startsWith(PREFIX);
+  }
+
+  /**
+   * Get all groups, leaving out malformed entries.
+   */
+  getAll() {
+    const groups = this.homey.settings.get(SETTINGS_KEY);
+    if (!Array.isArray(groups)) {
+      return [];
+    }
+
+    return groups
+      .filter(group => this.isGroup(group?.id) && Array.isArray(group.stops))
+      .map(group => ({
+        id: group.id,
+        name: group.name || group.id.slice(PREFIX.length),
+        stops: group.stops
+          .filter(stop => stop?.id && !this.isGroup(stop.id))
+          .map(stop => ({
+            id: stop.id,
+            name: stop.name || stop.id,
+            walk_minutes: Math.max(0, Number(stop.walk_minutes) || 0),
+          })),
+      }));
+  }
+
+  get(groupId) {
+    return this.getAll().find(group => group.id === groupId) || null;
+  }
+
+  /**
+   * Search groups by name, as autocomplete results. An empty query returns
+   * all groups.
+   */
+  search(query = '') {
+    const queryLower = query.trim().toLowerCase();
+
+    return this.getAll()
+      .filter(group => group.name.toLowerCase().includes(queryLower))
+      .map(group => ({
+        id: group.id,
+        name: group.name,
+        description: this.homey.__('autocomplete.stop_group', {
+          stops: group.stops.map(stop => stop.name).join(', '),
+        }),
+      }));
+  }
+
+  /**
+   * Add a stop to the group with this name, creating the group when needed.
+   * A stop that is already in the group gets the new walking time.
+   */
+  addStop(groupName, stop, walkMinutes = 0) {
+    const name = (groupName || '').trim();
+    if (!name) {
+      throw new Error(this.homey.__('errors.group_name_required'));
+    }
+    if (!stop?.id || this.isGroup(stop.id)) {
+      throw new Error(this.homey.__('errors.group_stop_invalid'));
+    }
+
+    const groups = this.getAll();
+    let group = groups.find(g => g.name.toLowerCase() === name.toLowerCase());
+    if (!group) {
+      group = { id: this._createId(name, groups), name, stops: [] };
+      groups.push(group);
+    }
+
+    const member = {
+      id: stop.id,
+      name: stop.name || stop.id,
+      walk_minutes: Math.max(0, Number(walkMinutes) || 0),
+    };
+    const index = group.stops.findIndex(s => s.id === stop.id);
+    if (index >= 0) {
+      group.stops[index] = member;
+    } else {
+      group.stops.push(member);
+    }
+
+    this._save(groups);
+    return group;
+  }
+
+  /**
+   * Remove a stop from a group. A group without stops is removed.
+   */
+  removeStop(groupId, stopId) {
+    const groups = this.getAll();
+    const group = groups.find(g => g.id === groupId);
+    if (!group) {
+      return;
+    }
+
+    group.stops = group.stops.filter(stop => stop.id !== stopId);
+    this._save(groups.filter(g => g.stops.length > 0));
+  }
+
+  /**
+   * Replace group ids by the ids of their stops.
+   */
+  expand(stopIds) {
+    const expanded = [];
+
+    for (const stopId of stopIds) {
+      if (this.isGroup(stopId)) {
+        expanded.push(...(this.get(stopId)?.stops || []).map(stop => stop.id));
+      } else {
+        expanded.push(stopId);
+      }
+    }
+
+    return expanded;
+  }
+
+  _createId(name, groups) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'group';
+
+    let id = `${PREFIX}${slug}`;
+    for (let i = 2; groups.some(group => group.id === id); i++) {
+      id = `${PREFIX}${slug}-${i}`;
+    }
+    return id;
+  }
+
+  _save(groups) {
+    this.homey.settings.set(SETTINGS_KEY, groups);
+  }
+}
+
+module.exports = StopGroups;
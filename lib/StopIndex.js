@@ -0,0 +1,211 @@
+'use strict';
+
+const EARTH_RADIUS = 6371000; // meters
+
+// Score per query token, by where and how well it matched
+const SCORES = {
+  name: { exact: 10, prefix: 6, substring: 3, typo: 2 },
+  town: { exact: 8, prefix: 4, substring: 2, typo: 1 },
+};
+
+/**
+ * Search index over the OV API stop areas.
+ * Matches query tokens against the tokens of stop name and town, tolerating
+ * accents and small typos, and ranks the results by relevance. Also finds
+ * stops near a location.
+ */
+class StopIndex {
+  constructor() {
+    this.source = null;
+    this.entries = [];
+  }
+
+  /**
+   * (Re)build the index from the stop areas returned by getAllStopAreas().
+   */
+  build(stopAreas) {
+    this.source = stopAreas;
+    this.entries = stopAreas
+      .filter(stop => stop.StopAreaCode)
+      .map(stop => {
+        const name = stop.TimingPointName || '';
+        const town = stop.TimingPointTown || '';
+
+        return {
+          id: stop.StopAreaCode,
+          name,
+          town,
+          latitude: parseFloat(stop.Latitude),
+          longitude: parseFloat(stop.Longitude),
+          normalizedName: StopIndex.normalize(name),
+          nameTokens: StopIndex.tokenize(name),
+          townTokens: StopIndex.tokenize(town),
+        };
+      });
+  }
+
+  /**
+   * Get the stop with the given stop area code.
+   */
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Find stops matching all tokens of the query, best match first.
+   */
+  search(query, limit = 15) {
+    const normalizedQuery = StopIndex.normalize(query);
+    const queryTokens = StopIndex.tokenize(query);
+    if (queryTokens.length === 0) {
+      return [];
+    }
+
+    const results = [];
+
+    for (const entry of this.entries) {
+      // A stop area code matches exactly
+      if (entry.id.toLowerCase() === normalizedQuery) {
+        results.push({ entry, score: Infinity });
+        continue;
+      }
+
+      let score = 0;
+      for (const token of queryTokens) {
+        const tokenScore = Math.max(
+          this._scoreToken(token, entry.nameTokens, SCORES.name),
+          this._scoreToken(token, entry.townTokens, SCORES.town),
+        );
+
+        // Every query token has to match somewhere
+        if (tokenScore === 0) {
+          score = 0;
+          break;
+        }
+        score += tokenScore;
+      }
+
+      if (score === 0) continue;
+
+      if (entry.normalizedName === normalizedQuery) {
+        score += 10;
+      } else if (entry.normalizedName.startsWith(normalizedQuery)) {
+        score += 5;
+      }
+
+      results.push({ entry, score });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score
+        || a.entry.name.length - b.entry.name.length
+        || a.entry.name.localeCompare(b.entry.name))
+      .slice(0, limit)
+      .map(({ entry }) => entry);
+  }
+
+  /**
+   * Find the stops closest to a location, within a radius in meters.
+   * Each result has a `distance` in meters.
+   */
+  nearby(latitude, longitude, { limit = 15, radius = 1500 } = {}) {
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      return [];
+    }
+
+    return this.entries
+      .filter(entry => Number.isFinite(entry.latitude) && Number.isFinite(entry.longitude))
+      .map(entry => ({
+        ...entry,
+        distance: StopIndex.distance(latitude, longitude, entry.latitude, entry.longitude),
+      }))
+      .filter(entry => entry.distance <= radius)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+  }
+
+  _scoreToken(token, tokens, scores) {
+    let best = 0;
+
+    for (const candidate of tokens) {
+      if (candidate === token) return scores.exact;
+
+      if (candidate.startsWith(token)) {
+        best = Math.max(best, scores.prefix);
+      } else if (token.length >= 3 && candidate.includes(token)) {
+        best = Math.max(best, scores.substring);
+      } else if (best === 0 && this._isTypo(token, candidate)) {
+        best = scores.typo;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Allow one edit for words of 4+ characters and two for 8+ characters.
+   */
+  _isTypo(token, candidate) {
+    const maxDistance = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+    if (maxDistance === 0 || Math.abs(token.length - candidate.length) > maxDistance) {
+      return false;
+    }
+    return StopIndex.editDistance(token, candidate, maxDistance) <= maxDistance;
+  }
+
+  /**
+   * Lowercase and strip accents and punctuation.
+   */
+  static normalize(text) {
+    return (text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  static tokenize(text) {
+    return StopIndex.normalize(text).split(' ').filter(Boolean);
+  }
+
+  /**
+   * Levenshtein distance, giving up once it exceeds `max`.
+   */
+  static editDistance(a, b, max = Infinity) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+        );
+        rowMin = Math.min(rowMin, current[j]);
+      }
+
+      if (rowMin > max) return rowMin;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Great-circle distance between two coordinates, in meters.
+   */
+  static distance(lat1, lon1, lat2, lon2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+  }
+}
+
+module.exports = StopIndex;
@@ -0,0 +1,74 @@
+'use strict';
+
+const SETTINGS_KEY = 'triggeredDepartures';
+const RETENTION = 60 * 60 * 1000; // Keep entries 1 hour after the departure
+
+/**
+ * Remembers which departures already fired a trigger, to support "once"
+ * mode. Entries are grouped per trigger kind, keyed by departure uid, and
+ * persisted in the app settings so they survive app restarts.
+ */
+class TriggeredDepartures {
+  constructor(homey) {
+    this.homey = homey;
+    this.entries = this.homey.settings.get(SETTINGS_KEY) || {};
+    this.changed = false;
+
+    this.cleanup();
+  }
+
+  /**
+   * Get the entry for a departure, with the delay it was triggered at.
+   */
+  get(kind, uid) {
+    return this.entries[kind]?.[uid] || null;
+  }
+
+  has(kind, uid) {
+    return this.get(kind, uid) !== null;
+  }
+
+  /**
+   * Mark a departure as triggered. It expires an hour after `timestamp`.
+   */
+  add(kind, uid, { timestamp, delay = 0 }) {
+    this.entries[kind] = this.entries[kind] || {};
+    this.entries[kind][uid] = {
+      expires: (timestamp || Date.now()) + RETENTION,
+      delay,
+    };
+    this.changed = true;
+  }
+
+  /**
+   * Remove entries of departures that are long gone.
+   */
+  cleanup() {
+    const now = Date.now();
+
+    for (const [kind, entries] of Object.entries(this.entries)) {
+      for (const [uid, entry] of Object.entries(entries)) {
+        if (!entry || entry.expires < now) {
+          delete entries[uid];
+          this.changed = true;
+        }
+      }
+
+      if (Object.keys(entries).length === 0) {
+        delete this.entries[kind];
+      }
+    }
+  }
+
+  /**
+   * Persist the entries, if anything changed since the last save.
+   */
+  save() {
+    if (!this.changed) return;
+
+    this.homey.settings.set(SETTINGS_KEY, this.entries);
+    this.changed = false;
+  }
+}
+
+module.exports = TriggeredDepartures;
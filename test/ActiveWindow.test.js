@@ -0,0 +1,53 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isActive } = require('../lib/ActiveWindow');
+
+// Amsterdam time in December (UTC+1); 15 December 2025 is a Monday
+const at = time => Date.parse(`${time}+01:00`);
+
+describe('ActiveWindow', () => {
+  it('is always active without a window', () => {
+    assert.equal(isActive({}, at('2025-12-14T03:00:00')), true);
+    assert.equal(isActive({ active_from: null, active_until: null, days: 'all' }, at('2025-12-14T03:00:00')), true);
+  });
+
+  it('checks the time of day', () => {
+    const args = { active_from: '07:00', active_until: '09:00' };
+
+    assert.equal(isActive(args, at('2025-12-15T06:59:00')), false);
+    assert.equal(isActive(args, at('2025-12-15T07:00:00')), true);
+    assert.equal(isActive(args, at('2025-12-15T08:59:00')), true);
+    assert.equal(isActive(args, at('2025-12-15T09:00:00')), false);
+  });
+
+  it('accepts only a start or an end', () => {
+    assert.equal(isActive({ active_from: '16:00' }, at('2025-12-15T23:30:00')), true);
+    assert.equal(isActive({ active_from: '16:00' }, at('2025-12-15T15:30:00')), false);
+    assert.equal(isActive({ active_until: '09:00' }, at('2025-12-15T00:30:00')), true);
+  });
+
+  it('checks the day of the week', () => {
+    assert.equal(isActive({ days: 'weekdays' }, at('2025-12-15T12:00:00')), true);
+    assert.equal(isActive({ days: 'weekdays' }, at('2025-12-14T12:00:00')), false);
+    assert.equal(isActive({ days: 'weekend' }, at('2025-12-14T12:00:00')), true);
+    assert.equal(isActive({ days: 'mon' }, at('2025-12-15T12:00:00')), true);
+    assert.equal(isActive({ days: 'tue' }, at('2025-12-15T12:00:00')), false);
+  });
+
+  it('counts a window past midnight to the day it started', () => {
+    const args = { active_from: '22:00', active_until: '02:00', days: 'fri' };
+
+    assert.equal(isActive(args, at('2025-12-19T23:00:00')), true);
+    assert.equal(isActive(args, at('2025-12-20T01:00:00')), true);
+    assert.equal(isActive(args, at('2025-12-20T03:00:00')), false);
+    assert.equal(isActive(args, at('2025-12-19T01:00:00')), false);
+  });
+
+  it('uses Amsterdam time on the other side of the year', () => {
+    const args = { active_from: '07:00', active_until: '09:00' };
+    assert.equal(isActive(args, Date.parse('2025-07-14T05:30:00Z')), true);
+  });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AmsterdamTime = require('../lib/AmsterdamTime');
+const OVApi = require('../lib/9292Api');
+
+const HOST_TIME_ZONES = ['UTC', 'Europe/Amsterdam', 'America/New_York', 'Asia/Tokyo', 'Pacific/Chatham'];
+const originalTimeZone = process.env.TZ;
+
+const utc = iso => Date.parse(iso);
+
+for (const timeZone of HOST_TIME_ZONES) {
+  describe(`AmsterdamTime on a host in ${timeZone}`, () => {
+    before(() => {
+      process.env.TZ = timeZone;
+    });
+
+    it('uses the winter and summer offsets', () => {
+      assert.equal(AmsterdamTime.getOffset(utc('2025-01-15T12:00:00Z')), 60);
+      assert.equal(AmsterdamTime.getOffset(utc('2025-07-15T12:00:00Z')), 120);
+    });
+
+    it('parses local times without a zone as Amsterdam time', () => {
+      assert.equal(AmsterdamTime.parse('2025-12-14T13:31:00'), utc('2025-12-14T12:31:00Z'));
+      assert.equal(AmsterdamTime.parse('2025-06-14T13:31:00'), utc('2025-06-14T11:31:00Z'));
+    });
+
+    it('keeps explicit zones', () => {
+      assert.equal(AmsterdamTime.parse('2025-12-14T13:31:00Z'), utc('2025-12-14T13:31:00Z'));
+      assert.equal(AmsterdamTime.parse('2025-12-14T13:31:00+01:00'), utc('2025-12-14T12:31:00Z'));
+    });
+
+    it('returns null for missing or invalid times', () => {
+      assert.equal(AmsterdamTime.parse(null), null);
+      assert.equal(AmsterdamTime.parse(''), null);
+      assert.equal(AmsterdamTime.parse('soon'), null);
+      assert.equal(AmsterdamTime.parse('13:31:00'), null);
+    });
+
+    describe('the night the clocks go forward (30 March 2025)', () => {
+      it('uses winter time until 02:00', () => {
+        assert.equal(AmsterdamTime.parse('2025-03-30T00:30:00'), utc('2025-03-29T23:30:00Z'));
+        assert.equal(AmsterdamTime.parse('2025-03-30T01:59:00'), utc('2025-03-30T00:59:00Z'));
+      });
+
+      it('uses summer time from 03:00', () => {
+        assert.equal(AmsterdamTime.parse('2025-03-30T03:00:00'), utc('2025-03-30T01:00:00Z'));
+        assert.equal(AmsterdamTime.parse('2025-03-30T23:30:00'), utc('2025-03-30T21:30:00Z'));
+      });
+
+      it('moves the skipped hour forward', () => {
+        assert.equal(AmsterdamTime.parse('2025-03-30T02:30:00'), utc('2025-03-30T01:30:00Z'));
+        assert.equal(AmsterdamTime.formatTime(AmsterdamTime.parse('2025-03-30T02:30:00')), '03:30');
+      });
+
+      it('formats times around the switch', () => {
+        assert.equal(AmsterdamTime.formatTime(utc('2025-03-30T00:59:00Z')), '01:59');
+        assert.equal(AmsterdamTime.formatTime(utc('2025-03-30T01:00:00Z')), '03:00');
+      });
+    });
+
+    describe('the night the clocks go back (26 October 2025)', () => {
+      it('uses summer time until 02:00', () => {
+        assert.equal(AmsterdamTime.parse('2025-10-26T01:59:00'), utc('2025-10-25T23:59:00Z'));
+      });
+
+      it('resolves the repeated hour to its first occurrence', () => {
+        assert.equal(AmsterdamTime.parse('2025-10-26T02:30:00'), utc('2025-10-26T00:30:00Z'));
+      });
+
+      it('uses winter time from 03:00', () => {
+        assert.equal(AmsterdamTime.parse('2025-10-26T03:00:00'), utc('2025-10-26T02:00:00Z'));
+        assert.equal(AmsterdamTime.parse('2025-10-26T23:30:00'), utc('2025-10-26T22:30:00Z'));
+      });
+
+      it('formats both occurrences of the repeated hour', () => {
+        assert.equal(AmsterdamTime.formatTime(utc('2025-10-26T00:30:00Z')), '02:30');
+        assert.equal(AmsterdamTime.formatTime(utc('2025-10-26T01:30:00Z')), '02:30');
+      });
+    });
+
+    describe('trips after midnight', () => {
+      it('rolls hours past 23 over to the next day', () => {
+        assert.equal(AmsterdamTime.parse('2025-12-14T24:35:00'), utc('2025-12-14T23:35:00Z'));
+        assert.equal(AmsterdamTime.parse('2025-12-14T25:10:00'), utc('2025-12-15T00:10:00Z'));
+      });
+
+      it('takes times of day from the operating date', () => {
+        assert.equal(AmsterdamTime.parse('23:50:00', '2025-12-14'), utc('2025-12-14T22:50:00Z'));
+        assert.equal(AmsterdamTime.parse('24:35:00', '2025-12-14'), utc('2025-12-14T23:35:00Z'));
+      });
+
+      it('rolls over into the night the clocks go back', () => {
+        assert.equal(AmsterdamTime.parse('27:30:00', '2025-10-25'), utc('2025-10-26T02:30:00Z'));
+      });
+
+      it('formats the date of the calendar day', () => {
+        assert.equal(AmsterdamTime.formatDate(utc('2025-12-14T23:35:00Z')), '2025-12-15');
+      });
+    });
+
+    it('gives the Amsterdam day and time of day', () => {
+      // Sunday 23:30 in UTC is already Monday in Amsterdam
+      assert.deepEqual(AmsterdamTime.getDayTime(utc('2025-12-14T23:30:00Z')), { weekday: 1, minutes: 30 });
+      assert.deepEqual(AmsterdamTime.getDayTime(utc('2025-07-13T21:15:00Z')), { weekday: 0, minutes: 23 * 60 + 15 });
+    });
+
+    describe('nextTimeOfDay', () => {
+      it('returns a time later today', () => {
+        const now = utc('2025-12-14T09:00:00Z'); // 10:00 in Amsterdam
+        assert.equal(AmsterdamTime.nextTimeOfDay('17:45', now), utc('2025-12-14T16:45:00Z'));
+      });
+
+      it('returns tomorrow for a time that has passed', () => {
+        const now = utc('2025-12-14T09:00:00Z');
+        assert.equal(AmsterdamTime.nextTimeOfDay('08:00', now), utc('2025-12-15T07:00:00Z'));
+      });
+
+      it('returns tomorrow across a DST switch', () => {
+        const now = utc('2025-03-29T22:00:00Z'); // 23:00 winter time
+        assert.equal(AmsterdamTime.nextTimeOfDay('08:00', now), utc('2025-03-30T06:00:00Z'));
+      });
+
+      it('returns null for invalid times', () => {
+        assert.equal(AmsterdamTime.nextTimeOfDay('8 uur'), null);
+        assert.equal(AmsterdamTime.nextTimeOfDay('25:00'), null);
+      });
+    });
+
+    it('gives departures Amsterdam times', () => {
+      const api = new OVApi({});
+      const [departure] = api._storeDepartures('1234', [{
+        Passes: {
+          'GVB_20251214_5_123_0': {
+            OperationDate: '2025-12-14',
+            TargetDepartureTime: '2025-12-14T24:35:00',
+            ExpectedDepartureTime: '2025-12-14T24:38:00',
+            LinePublicNumber: '5',
+            DestinationName50: 'Westergasfabriek',
+            TripStopStatus: 'PLANNED',
+            TransportType: 'TRAM',
+          },
+        },
+      }], Date.now());
+
+      assert.equal(departure.planned_time, '00:35');
+      assert.equal(departure.expected_time, '00:38');
+      assert.equal(departure.delay_minutes, 3);
+      assert.equal(departure.timestamp, utc('2025-12-14T23:38:00Z'));
+    });
+  });
+}
+
+after(() => {
+  process.env.TZ = originalTimeZone;
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { createHomey } = require('./helpers/mockHomey');
+const HttpClient = require('../lib/HttpClient');
+
+const { HttpError } = HttpClient;
+
+describe('HttpClient', () => {
+  const homey = createHomey();
+  const requests = [];
+  let aborted = 0;
+  let client;
+
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    req.on('close', () => {
+      if (!res.writableEnded) aborted++;
+    });
+
+    switch (req.url) {
+      case '/ok':
+        res.end('{"ok":true}');
+        break;
+      case '/missing':
+        res.statusCode = 404;
+        res.end();
+        break;
+      case '/busy':
+        res.statusCode = requests.filter(url => url === '/busy').length < 3 ? 429 : 200;
+        res.end('{"ok":true}');
+        break;
+      case '/hang':
+        res.write('{');
+        break;
+      default:
+        res.end('{not json');
+    }
+  });
+
+  before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new HttpClient(homey, `http://127.0.0.1:${server.address().port}`);
+  });
+
+  after(async () => {
+    homey.destroy();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => {
+    requests.length = 0;
+  });
+
+  it('parses JSON responses', async () => {
+    assert.deepEqual(await client.getJson('/ok'), { ok: true });
+  });
+
+  it('does not retry client errors', async () => {
+    await assert.rejects(client.getJson('/missing'), (error) => {
+      assert.ok(error instanceof HttpError);
+      assert.equal(error.statusCode, 404);
+      assert.equal(error.retryable, false);
+      return true;
+    });
+    assert.equal(requests.length, 1);
+  });
+
+  it('retries rate limiting with backoff', async () => {
+    const start = Date.now();
+    assert.deepEqual(await client.getJson('/busy'), { ok: true });
+
+    assert.equal(requests.length, 3);
+    assert.ok(Date.now() - start >= 3000);
+  });
+
+  it('rejects malformed JSON without retrying', async () => {
+    await assert.rejects(client.getJson('/malformed'), { message: 'Invalid JSON response' });
+    assert.equal(requests.length, 1);
+  });
+
+  it('aborts requests that take too long', async () => {
+    await assert.rejects(client.getJson('/hang', { timeout: 200, retries: 0 }), {
+      message: 'Request timeout',
+      retryable: true,
+    });
+
+    // Give the server a moment to see the connection close
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(aborted, 1);
+  });
+});
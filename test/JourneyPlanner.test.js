@@ -0,0 +1,80 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey } = require('./helpers/mockHomey');
+const FakeOvapi = require('./helpers/fakeOvapi');
+const OVApi = require('../lib/9292Api');
+const JourneyPlanner = require('../lib/JourneyPlanner');
+
+const MINUTE = 60 * 1000;
+
+describe('JourneyPlanner', () => {
+  const server = new FakeOvapi();
+  let homey;
+  let planner;
+
+  before(() => server.start());
+  after(() => server.stop());
+
+  beforeEach(() => {
+    server.reset();
+    homey?.destroy();
+    homey = createHomey();
+    planner = new JourneyPlanner(new OVApi(homey, { baseUrl: server.url }));
+  });
+
+  it('plans direct journeys, earliest arrival first', async () => {
+    const journeys = await planner.plan('asdcs', 'asdnsl');
+
+    assert.deepEqual(journeys.map(journey => journey.uid.split('_').slice(0, 4).join('_')), [
+      'GVB_20251214_2_201',
+      'GVB_20251214_2_203',
+    ]);
+
+    const [journey] = journeys;
+    assert.equal(journey.transfers, 0);
+    assert.equal(journey.leave_timestamp, journey.departure_timestamp);
+    assert.equal(journey.arrival_timestamp - journey.departure_timestamp, 25 * MINUTE);
+    assert.deepEqual(journey.legs.map(leg => [leg.line, leg.from, leg.to]), [['2', 'Centraal Station', 'Nieuw Sloten']]);
+  });
+
+  it('leaves out journeys that leave before you can walk to the stop', async () => {
+    const [journey, ...others] = await planner.plan('asdcs', 'asdnsl', { walkingMinutes: 10 });
+
+    assert.equal(others.length, 0);
+    assert.ok(journey.uid.startsWith('GVB_20251214_2_203_0'));
+    assert.equal(journey.departure_timestamp - journey.leave_timestamp, 10 * MINUTE);
+  });
+
+  it('only keeps journeys that arrive in time, latest leave time first', async () => {
+    const journeys = await planner.plan('asdcs', 'asdnsl', { arriveBy: Date.now() + 35 * MINUTE });
+
+    assert.equal(journeys.length, 1);
+    assert.ok(journeys[0].uid.startsWith('GVB_20251214_2_201_0'));
+  });
+
+  it('plans a journey with a transfer', async () => {
+    const [journey, ...others] = await planner.plan('asdcs', 'asdosd');
+
+    assert.equal(others.length, 0);
+    assert.equal(journey.transfers, 1);
+    assert.ok(journey.uid.startsWith('GVB_20251214_2_201_0+GVB_20251214_15_151_0_'));
+    assert.deepEqual(journey.legs.map(leg => [leg.line, leg.from, leg.to]), [
+      ['2', 'Centraal Station', 'Nieuw Sloten'],
+      ['15', 'Nieuw Sloten', 'Osdorpplein'],
+    ]);
+    assert.equal(journey.arrival_timestamp - journey.departure_timestamp, 42 * MINUTE);
+  });
+
+  it('needs time to change vehicles', async () => {
+    // The bus leaves 5 minutes after the tram arrives
+    assert.equal((await planner.plan('asdcs', 'asdosd', { transferMinutes: 6 })).length, 0);
+  });
+
+  it('plans nothing between the same stops', async () => {
+    assert.deepEqual(await planner.plan('asdcs', 'asdcs'), []);
+    assert.equal(server.requests.length, 0);
+  });
+});
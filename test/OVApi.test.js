@@ -0,0 +1,418 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey } = require('./helpers/mockHomey');
+const FakeOvapi = require('./helpers/fakeOvapi');
+const FakeNs = require('./helpers/fakeNs');
+const OVApi = require('../lib/9292Api');
+
+describe('OVApi', () => {
+  const server = new FakeOvapi();
+  let homey;
+  let api;
+
+  before(() => server.start());
+  after(() => server.stop());
+
+  beforeEach(() => {
+    server.reset();
+    homey?.destroy();
+    homey = createHomey();
+    api = new OVApi(homey, { baseUrl: server.url });
+  });
+
+  describe('getDepartures', () => {
+    it('returns upcoming departures sorted by time', async () => {
+      const departures = await api.getDepartures('asdcs');
+
+      assert.deepEqual(
+        departures.map(dep => `${dep.line} ${dep.destination}`),
+        ['2 Nieuw Sloten', '2 Nieuw Sloten', '13 Geuzenveld', '22 Muiderpoort'],
+      );
+      for (let i = 1; i < departures.length; i++) {
+        assert.ok(departures[i - 1].timestamp <= departures[i].timestamp);
+      }
+    });
+
+    it('parses delays, transport types and line ids', async () => {
+      const [onTime, delayed] = await api.getDepartures('asdcs');
+
+      assert.equal(onTime.delay_minutes, 0);
+      assert.equal(onTime.planned_time, onTime.expected_time);
+      assert.equal(delayed.delay_minutes, 6);
+      assert.notEqual(delayed.planned_time, delayed.expected_time);
+      assert.equal(delayed.transport_type, 'tram');
+      assert.equal(delayed.line_id, 'GVB_2_1');
+      assert.equal(delayed.journey_id, 'GVB_20251214_2_203_0');
+      assert.match(delayed.uid, /^asdcs_2_Nieuw Sloten_\d+$/);
+    });
+
+    it('leaves out passed trips', async () => {
+      const departures = await api.getDepartures('asdcs', 50, { includeCancelled: true });
+      assert.ok(!departures.some(dep => dep.line === '5'));
+    });
+
+    it('only includes cancelled trips when asked', async () => {
+      const departures = await api.getDepartures('asdcs');
+      const all = await api.getDepartures('asdcs', 50, { includeCancelled: true });
+
+      assert.ok(!departures.some(dep => dep.status === 'cancelled'));
+      assert.deepEqual(
+        all.filter(dep => dep.status === 'cancelled').map(dep => dep.line),
+        ['13'],
+      );
+    });
+
+    it('applies the limit', async () => {
+      assert.equal((await api.getDepartures('asdcs', 2)).length, 2);
+    });
+
+    it('returns nothing for a stop without departures', async () => {
+      assert.deepEqual(await api.getDepartures('asdmui'), []);
+    });
+
+    it('serves repeated requests from the cache', async () => {
+      await api.getDepartures('asdcs');
+      await api.getDepartures('asdcs', 1);
+      assert.equal(server.requests.length, 1);
+    });
+
+    it('reports data as unavailable for a malformed response', async () => {
+      await assert.rejects(api.getDepartures('broken'), {
+        message: 'Departure information is currently unavailable',
+      });
+      assert.equal(api.health.getStop('broken').consecutiveFailures, 1);
+    });
+
+    it('serves the last good departures as stale when a fetch fails', async () => {
+      const fresh = await api.getDepartures('asdcs');
+      api.departuresCache.get('asdcs').time -= 60 * 1000;
+
+      server.failNext(503, 3);
+      const stale = await api.getDepartures('asdcs');
+
+      assert.equal(server.requests.length, 4);
+      assert.deepEqual(stale.map(dep => dep.uid), fresh.map(dep => dep.uid));
+      assert.ok(stale.every(dep => dep.stale));
+      assert.ok(api.getDataAge('asdcs') >= 60);
+    });
+
+    it('retries server errors', async () => {
+      server.failNext(502);
+      const departures = await api.getDepartures('asdcs');
+
+      assert.equal(departures.length, 4);
+      assert.equal(server.requests.length, 2);
+    });
+  });
+
+  describe('prefetchDepartures', () => {
+    it('fetches several stops in one request', async () => {
+      await api.prefetchDepartures(['asdcs', 'asdmui', 'asdcs']);
+      assert.deepEqual(server.requests, ['/stopareacode/asdcs,asdmui']);
+
+      assert.equal((await api.getDepartures('asdcs')).length, 4);
+      assert.deepEqual(await api.getDepartures('asdmui'), []);
+      assert.equal(server.requests.length, 1);
+    });
+
+    it('drops expired cache entries', async () => {
+      const [departure] = await api.getDepartures('asdcs');
+      await api.getJourney(departure.journey_id);
+      api.journeyCache.get(departure.journey_id).time -= 2 * 60 * 1000;
+      api.departuresCache.get('asdcs').time -= 2 * 60 * 60 * 1000;
+
+      await api.prefetchDepartures([]);
+
+      assert.equal(api.journeyCache.size, 0);
+      assert.equal(api.departuresCache.size, 0);
+    });
+
+    it('records the health of the fetched stops', async () => {
+      await api.prefetchDepartures(['asdcs']);
+
+      const health = api.health.getStop('asdcs');
+      assert.equal(health.consecutiveFailures, 0);
+      assert.ok(health.lastSuccess);
+      assert.ok(api.health.isAvailable());
+    });
+  });
+
+  describe('getMessages', () => {
+    it('returns the active messages of a stop once', async () => {
+      const messages = await api.getMessages('asdcs');
+
+      assert.deepEqual(messages.map(m => m.id).sort(), ['GVB_2025-12-14_101', 'GVB_2025-12-14_103']);
+    });
+
+    it('parses text, advice, period and affected lines', async () => {
+      const messages = await api.getMessages('asdcs');
+      const moved = messages.find(m => m.id === 'GVB_2025-12-14_101');
+      const detour = messages.find(m => m.id === 'GVB_2025-12-14_103');
+
+      assert.equal(moved.text, 'Halte Centraal Station is verplaatst naar de Prins Hendrikkade.');
+      assert.equal(moved.reason, 'Werkzaamheden');
+      assert.equal(moved.advice, 'Stap in bij de tijdelijke halte.');
+      assert.ok(moved.start_timestamp < Date.now() && moved.end_timestamp > Date.now());
+      assert.deepEqual(moved.lines.sort(), ['13', '2']);
+
+      assert.equal(detour.end_timestamp, null);
+      assert.deepEqual(detour.lines, ['22']);
+    });
+
+    it('shares the request with the departures', async () => {
+      await api.getDepartures('asdcs');
+      await api.getMessages('asdcs');
+      assert.equal(server.requests.length, 1);
+    });
+
+    it('returns nothing for a stop without messages', async () => {
+      assert.deepEqual(await api.getMessages('asdmui'), []);
+    });
+  });
+
+  describe('searchLocations', () => {
+    it('finds stops by name and town', async () => {
+      const results = await api.searchLocations('centraal utrecht');
+      assert.equal(results[0].id, 'utcs');
+    });
+
+    it('tolerates typos', async () => {
+      const results = await api.searchLocations('muiderpoortstatoin');
+      assert.equal(results[0].id, 'asdmui');
+    });
+
+    it('keeps the stop areas in the settings', async () => {
+      await api.searchLocations('centraal');
+      assert.equal(homey.settings.get('stopAreasCache').length, 3);
+    });
+  });
+
+  describe('getDestinations and getLines', () => {
+    it('lists the destinations of a stop', async () => {
+      const destinations = await api.getDestinations('asdcs');
+      assert.deepEqual(destinations.map(d => d.name).sort(), ['Geuzenveld', 'Muiderpoort', 'Nieuw Sloten']);
+    });
+
+    it('lists the lines of a stop', async () => {
+      const lines = await api.getLines('asdcs');
+      assert.deepEqual(lines.map(l => l.name), ['2', '13', '22']);
+    });
+  });
+
+  describe('getVehicleProgress', () => {
+    it('finds a driving vehicle and the stop it last reached', async () => {
+      const [departure] = await api.getDepartures('asdcs');
+
+      assert.deepEqual(await api.getVehicleProgress(departure), {
+        status: 'driving',
+        stops_away: 2,
+        current_stop: 'Artis',
+        current_town: 'Amsterdam',
+      });
+    });
+
+    it('reports a vehicle still at its origin', async () => {
+      const [, departure] = await api.getDepartures('asdcs');
+      const vehicle = await api.getVehicleProgress(departure);
+
+      assert.equal(vehicle.status, 'at_origin');
+      assert.equal(vehicle.stops_away, 4);
+      assert.equal(vehicle.current_stop, 'Muiderpoortstation');
+    });
+
+    it('returns null for an unknown journey', async () => {
+      const departures = await api.getDepartures('asdcs');
+      assert.equal(await api.getVehicleProgress(departures.find(dep => dep.line === '22')), null);
+    });
+
+    it('reports data as unavailable when the journey can\'t be fetched', async () => {
+      const [departure] = await api.getDepartures('asdcs');
+
+      server.failNext(403);
+      await assert.rejects(api.getVehicleProgress(departure), {
+        message: 'Departure information is currently unavailable',
+      });
+
+      server.failNext(404);
+      assert.equal(await api.getVehicleProgress(departure), null);
+    });
+  });
+
+  describe('getArrivalsFrom', () => {
+    it('finds the vehicles that come from the origin', async () => {
+      const arrivals = await api.getArrivalsFrom('asdcs', 'asdmui');
+
+      assert.deepEqual(arrivals.map(arrival => arrival.journey_id), ['GVB_20251214_2_201_0', 'GVB_20251214_2_203_0']);
+      assert.equal(arrivals[0].origin_name, 'Muiderpoortstation');
+      assert.ok(arrivals[0].origin_timestamp < arrivals[0].arrival_timestamp);
+    });
+
+    it('parses arrival times', async () => {
+      const [arrival] = await api.getArrivalsFrom('asdcs', 'asdmui');
+
+      assert.equal(arrival.arrival_timestamp, arrival.timestamp - 60 * 1000);
+      assert.equal(arrival.expected_arrival_time, arrival.planned_arrival_time);
+      assert.notEqual(arrival.expected_arrival_time, arrival.expected_time);
+    });
+
+    it('matches the origin by the journey, not the destination', async () => {
+      assert.deepEqual(await api.getArrivalsFrom('asdcs', 'asdnsl'), []);
+      assert.equal((await api.getArrivalsFrom('asdcs', 'tpc:30001003')).length, 2);
+    });
+
+    it('reports data as unavailable when a journey can\'t be fetched', async () => {
+      await api.getDepartures('asdcs');
+
+      server.failNext(403);
+      await assert.rejects(api.getArrivalsFrom('asdcs', 'asdmui'), {
+        message: 'Departure information is currently unavailable',
+      });
+    });
+
+    it('only checks the departures that pass the filter', async () => {
+      assert.deepEqual(await api.getArrivalsFrom('asdcs', 'asdmui', dep => dep.line === '13'), []);
+      assert.deepEqual(
+        server.requests.filter(url => url.startsWith('/journey/')),
+        ['/journey/GVB_20251214_13_133_0'],
+      );
+    });
+  });
+
+  describe('stop groups', () => {
+    const group = stops => homey.settings.set('stopGroups', [{ id: 'group:home', name: 'Home', stops }]);
+
+    it('merges the departures of the stops', async () => {
+      group([{ id: 'asdmui', walk_minutes: 0 }, { id: 'asdcs', walk_minutes: 0 }]);
+
+      const departures = await api.getDepartures('group:home');
+
+      assert.equal(departures.length, 4);
+      assert.ok(departures.every(dep => dep.stop_id === 'asdcs'));
+      assert.deepEqual(server.requests, ['/stopareacode/asdmui', '/stopareacode/asdcs']);
+    });
+
+    it('lists a trip once, at the stop you can leave for latest', async () => {
+      group([{ id: 'asdcs', walk_minutes: 3 }, { id: 'asdcs', walk_minutes: 0 }]);
+
+      const departures = await api.getDepartures('group:home');
+
+      assert.equal(departures.length, 4);
+      assert.ok(departures.every(dep => dep.walk_minutes === 0));
+    });
+
+    it('subtracts the walking time and leaves out departures you can no longer reach', async () => {
+      group([{ id: 'asdcs', walk_minutes: 10 }]);
+
+      const departures = await api.getDepartures('group:home');
+      const stop = await api.getDepartures('asdcs');
+
+      assert.deepEqual(departures.map(dep => dep.uid), stop.slice(1).map(dep => dep.uid));
+      assert.equal(api.getMinutesUntil(departures[0]), api.getMinutesUntil(stop[1]) - 10);
+    });
+
+    it('keeps working while one of the stops has no data', async () => {
+      group([{ id: 'broken', walk_minutes: 0 }, { id: 'asdcs', walk_minutes: 0 }]);
+
+      assert.equal((await api.getDepartures('group:home')).length, 4);
+    });
+
+    it('fails when none of the stops has data', async () => {
+      group([{ id: 'broken', walk_minutes: 0 }]);
+
+      await assert.rejects(api.getDepartures('group:home'), {
+        message: 'Departure information is currently unavailable',
+      });
+    });
+
+    it('merges the messages of the stops', async () => {
+      group([{ id: 'asdcs', walk_minutes: 0 }, { id: 'asdmui', walk_minutes: 0 }]);
+
+      assert.equal((await api.getMessages('group:home')).length, 2);
+    });
+
+    it('offers groups before stops in the search', async () => {
+      group([{ id: 'asdcs', name: 'Centraal Station', walk_minutes: 0 }]);
+
+      const results = await api.searchLocations('home');
+      assert.deepEqual(results[0], {
+        id: 'group:home',
+        name: 'Home',
+        description: 'Stop group: Centraal Station',
+      });
+    });
+  });
+
+  describe('NS train stations', () => {
+    const ns = new FakeNs();
+
+    before(() => ns.start());
+    after(() => ns.stop());
+
+    beforeEach(() => {
+      ns.reset();
+      homey.settings.set('nsApiKey', 'secret');
+      api = new OVApi(homey, { baseUrl: server.url, nsBaseUrl: ns.url });
+    });
+
+    it('finds train stations before stops', async () => {
+      const results = await api.searchLocations('utrecht centraal');
+
+      assert.deepEqual(results.slice(0, 2).map(r => r.id), ['ns:UT', 'utcs']);
+      assert.equal(results[0].description, 'Train station (NS)');
+    });
+
+    it('finds nearby train stations', async () => {
+      const results = await api.searchNearby(52.379, 4.9, 10);
+      assert.ok(results.some(r => r.id === 'ns:ASD'));
+    });
+
+    it('leaves train stations out without an API key', async () => {
+      homey.settings.unset('nsApiKey');
+
+      const results = await api.searchLocations('utrecht centraal');
+
+      assert.ok(!results.some(r => r.id.startsWith('ns:')));
+      assert.equal(ns.requests.length, 0);
+    });
+
+    it('returns departures with platforms in the same shape', async () => {
+      const departures = await api.getDepartures('ns:UT', 10, { includeCancelled: true });
+
+      assert.deepEqual(
+        departures.map(dep => `${dep.line} ${dep.destination}`),
+        ['IC Amsterdam Centraal', 'SPR Den Haag Centraal', 'IC Schiphol Airport'],
+      );
+
+      const [onTime, moved, cancelled] = departures;
+      assert.equal(onTime.platform, '5');
+      assert.equal(onTime.transport_type, 'train');
+      assert.equal(moved.delay_minutes, 2);
+      assert.equal(moved.planned_platform, '7');
+      assert.equal(moved.platform, '7a');
+      assert.equal(cancelled.status, 'cancelled');
+      assert.equal(cancelled.platform, '11');
+      assert.equal(server.requests.length, 0);
+    });
+
+    it('serves the last good departures as stale when NS fails', async () => {
+      await api.getDepartures('ns:UT');
+      api.departuresCache.get('ns:UT').time -= 60 * 1000;
+
+      ns.failNext(503, 3);
+      const stale = await api.getDepartures('ns:UT');
+
+      assert.equal(stale.length, 2);
+      assert.ok(stale.every(dep => dep.stale));
+    });
+
+    it('fetches train stations separately when prefetching', async () => {
+      await api.prefetchDepartures(['asdcs', 'ns:UT']);
+
+      assert.deepEqual(server.requests, ['/stopareacode/asdcs']);
+      assert.equal(ns.requests.length, 1);
+    });
+  });
+});
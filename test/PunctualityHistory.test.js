@@ -0,0 +1,93 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey } = require('./helpers/mockHomey');
+const PunctualityHistory = require('../lib/PunctualityHistory');
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2025-12-15T08:00:00+01:00'); // Monday 08:00 in Amsterdam
+
+const departure = (uid, line, planned, delay, status = 'planned') => ({
+  uid,
+  line,
+  timestamp: planned + delay * MINUTE,
+  delay_minutes: delay,
+  status,
+});
+
+describe('PunctualityHistory', () => {
+  let homey;
+  let history;
+
+  beforeEach(() => {
+    homey = createHomey();
+    history = new PunctualityHistory(homey);
+  });
+
+  it('records the last seen delay once a departure has left', () => {
+    const planned = NOW + 5 * MINUTE;
+
+    history.observe('asdcs', [departure('a', '2', planned, 1)], NOW);
+    history.observe('asdcs', [departure('a', '2', planned, 3)], NOW + MINUTE);
+    assert.deepEqual(history.entries, []);
+
+    const recorded = history.observe('asdcs', [], NOW + 10 * MINUTE);
+    assert.deepEqual(recorded, [{ stop: 'asdcs', line: '2', planned, delay: 3, cancelled: false }]);
+    assert.deepEqual(history.observe('asdcs', [], NOW + 11 * MINUTE), []);
+  });
+
+  it('records departures that stay listed after leaving', () => {
+    history.observe('asdcs', [departure('a', '2', NOW, 0)], NOW);
+
+    assert.deepEqual(history.observe('asdcs', [departure('a', '2', NOW, 0)], NOW + 2 * MINUTE), []);
+    assert.equal(history.observe('asdcs', [departure('a', '2', NOW, 0)], NOW + 6 * MINUTE).length, 1);
+  });
+
+  it('ignores stale departures', () => {
+    history.observe('asdcs', [{ ...departure('a', '2', NOW, 4), stale: true }], NOW - MINUTE);
+    assert.deepEqual(history.observe('asdcs', [], NOW + MINUTE), []);
+  });
+
+  it('only records the departures of the observed stop', () => {
+    history.observe('asdcs', [departure('a', '2', NOW, 0)], NOW - MINUTE);
+    assert.deepEqual(history.observe('asdmui', [], NOW + MINUTE), []);
+  });
+
+  it('calculates stats per line over the last days', () => {
+    const day = 24 * 60 * MINUTE;
+    history.entries = [
+      { stop: 'asdcs', line: '2', planned: NOW - day, delay: 0, cancelled: false },
+      { stop: 'asdcs', line: '2', planned: NOW - 2 * day, delay: 4, cancelled: false },
+      { stop: 'asdcs', line: '2', planned: NOW - 3 * day, delay: 1, cancelled: false },
+      { stop: 'asdcs', line: '2', planned: NOW - 3 * day, delay: 0, cancelled: true },
+      { stop: 'asdcs', line: '13', planned: NOW - day, delay: 9, cancelled: false },
+      { stop: 'asdcs', line: '2', planned: NOW - 10 * day, delay: 20, cancelled: false },
+    ];
+
+    assert.deepEqual(history.getStats(['asdcs'], '2', { days: 7, now: NOW }), {
+      count: 4,
+      cancelled: 1,
+      average_delay: 1.7,
+      on_time_percentage: 67,
+      delays: [0, 4, 1],
+    });
+    assert.equal(history.getStats(['asdmui'], '2', { now: NOW }).count, 0);
+    assert.equal(history.getStats(['asdcs'], '2', { hour: 9, now: NOW }).count, 0);
+    assert.equal(history.getStats(['asdcs'], '2', { hour: 8, now: NOW }).count, 4);
+  });
+
+  it('keeps the history bounded and persists it', () => {
+    history.entries = [
+      { stop: 'asdcs', line: '2', planned: NOW - 90 * 24 * 60 * MINUTE, delay: 0, cancelled: false },
+      { stop: 'asdcs', line: '2', planned: NOW, delay: 2, cancelled: false },
+    ];
+
+    history.cleanup(NOW);
+    history.save();
+
+    assert.deepEqual(homey.settings.get('punctualityHistory').map(entry => entry.delay), [2]);
+    assert.equal(new PunctualityHistory(homey).entries.length, 1);
+  });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey } = require('./helpers/mockHomey');
+const StopGroups = require('../lib/StopGroups');
+
+const CENTRAAL = { id: 'asdcs', name: 'Centraal Station' };
+const MUIDERPOORT = { id: 'asdmui', name: 'Muiderpoortstation' };
+
+describe('StopGroups', () => {
+  let homey;
+  let groups;
+
+  beforeEach(() => {
+    homey = createHomey();
+    groups = new StopGroups(homey);
+  });
+
+  it('creates a group for a new name', () => {
+    const group = groups.addStop('Home', CENTRAAL, 4);
+
+    assert.equal(group.id, 'group:home');
+    assert.deepEqual(homey.settings.get('stopGroups'), [{
+      id: 'group:home',
+      name: 'Home',
+      stops: [{ id: 'asdcs', name: 'Centraal Station', walk_minutes: 4 }],
+    }]);
+  });
+
+  it('adds stops to an existing group regardless of case', () => {
+    groups.addStop('Home', CENTRAAL, 4);
+    groups.addStop('home', MUIDERPOORT, 7);
+    groups.addStop('HOME', CENTRAAL, 2);
+
+    const [group] = groups.getAll();
+    assert.deepEqual(group.stops.map(stop => `${stop.id} ${stop.walk_minutes}`), ['asdcs 2', 'asdmui 7']);
+  });
+
+  it('gives groups with similar names their own id', () => {
+    groups.addStop('Home!', CENTRAAL);
+    groups.addStop('Home?', MUIDERPOORT);
+
+    assert.deepEqual(groups.getAll().map(group => group.id), ['group:home', 'group:home-2']);
+  });
+
+  it('rejects groups in groups and empty names', () => {
+    groups.addStop('Home', CENTRAAL);
+
+    assert.throws(() => groups.addStop('Work', { id: 'group:home' }), {
+      message: 'Choose a single stop to add to the group',
+    });
+    assert.throws(() => groups.addStop(' ', CENTRAAL), { message: 'Enter a name for the stop group' });
+  });
+
+  it('removes a group with its last stop', () => {
+    groups.addStop('Home', CENTRAAL);
+    groups.addStop('Home', MUIDERPOORT);
+
+    groups.removeStop('group:home', 'asdcs');
+    assert.deepEqual(groups.get('group:home').stops.map(stop => stop.id), ['asdmui']);
+
+    groups.removeStop('group:home', 'asdmui');
+    assert.deepEqual(groups.getAll(), []);
+  });
+
+  it('replaces groups by their stops', () => {
+    groups.addStop('Home', CENTRAAL);
+    groups.addStop('Home', MUIDERPOORT);
+
+    assert.deepEqual(groups.expand(['utcs', 'group:home', 'group:unknown']), ['utcs', 'asdcs', 'asdmui']);
+  });
+
+  it('ignores malformed settings', () => {
+    homey.settings.set('stopGroups', [null, { id: 'home' }, { id: 'group:work', stops: [{ id: 'asdcs', walk_minutes: 'x' }] }]);
+
+    assert.deepEqual(groups.getAll(), [{
+      id: 'group:work',
+      name: 'work',
+      stops: [{ id: 'asdcs', name: 'asdcs', walk_minutes: 0 }],
+    }]);
+  });
+});
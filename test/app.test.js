@@ -0,0 +1,788 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey, createApp, sdk } = require('./helpers/mockHomey');
+const FakeOvapi = require('./helpers/fakeOvapi');
+const FakeNs = require('./helpers/fakeNs');
+const AmsterdamTime = require('../lib/AmsterdamTime');
+
+const CENTRAAL = { id: 'asdcs', name: 'Centraal Station', description: 'Amsterdam' };
+const MUIDERPOORT = { id: 'asdmui', name: 'Muiderpoortstation', description: 'Amsterdam' };
+const UTRECHT = { id: 'ns:UT', name: 'Utrecht Centraal', description: 'Train station (NS)' };
+
+describe('OVApp', () => {
+  const server = new FakeOvapi();
+  const ns = new FakeNs();
+  let homey;
+  let app;
+
+  before(async () => {
+    await server.start();
+    await ns.start();
+    sdk.env.OVAPI_BASE_URL = server.url;
+    sdk.env.NS_API_BASE_URL = ns.url;
+  });
+
+  after(async () => {
+    delete sdk.env.OVAPI_BASE_URL;
+    delete sdk.env.NS_API_BASE_URL;
+    await server.stop();
+    await ns.stop();
+  });
+
+  beforeEach(async () => {
+    server.reset();
+    ns.reset();
+    homey = createHomey({ settings: { nsApiKey: 'secret' } });
+    app = await createApp(homey);
+  });
+
+  afterEach(async () => {
+    await app.onUninit();
+    homey.destroy();
+  });
+
+  const card = id => homey.cards.get(id);
+
+  // Add departures of another line before the others at Centraal, as at a busy stop
+  const crowdCentraal = async (count) => {
+    await app.api.getDepartures('asdcs');
+    const cached = app.api.departuresCache.get('asdcs');
+    const [first] = cached.data;
+    const extra = Array.from({ length: count }, (_, i) => ({ ...first, line: '26', uid: `${first.uid}_extra${i}` }));
+    cached.data = [...extra, ...cached.data];
+  };
+
+  describe('conditions', () => {
+    it('checks the next departure', async () => {
+      const condition = card('next_departure_is');
+
+      assert.equal(await condition.run({ station: CENTRAAL, match_type: 'line', match_value: '2' }), true);
+      assert.equal(await condition.run({ station: CENTRAAL, match_type: 'line', match_value: '13' }), false);
+      assert.equal(await condition.run({ station: CENTRAAL, match_type: 'destination', match_value: 'sloten' }), true);
+    });
+
+    it('checks a later departure', async () => {
+      const condition = card('next_departure_is');
+
+      assert.equal(await condition.run({ station: CENTRAAL, index: '3', match_type: 'line', match_value: '13' }), true);
+      assert.equal(await condition.run({ station: CENTRAAL, index: '5', match_type: 'line', match_value: '22' }), false);
+    });
+
+    it('counts departures within minutes', async () => {
+      const condition = card('departure_count_within_minutes');
+
+      assert.equal(await condition.run({ station: CENTRAAL, line: { name: '2' }, count: 2, minutes: 30 }), true);
+      assert.equal(await condition.run({ station: CENTRAAL, line: { name: '2' }, count: 2, minutes: 10 }), false);
+      // The cancelled trip doesn't count
+      assert.equal(await condition.run({ station: CENTRAAL, line: { name: '13' }, count: 2, minutes: 30 }), false);
+    });
+
+    it('checks whether a vehicle is on its way', async () => {
+      const condition = card('vehicle_is_within_stops');
+
+      assert.equal(await condition.run({ station: CENTRAAL, line: { name: '2' }, stops: 2 }), true);
+      assert.equal(await condition.run({ station: CENTRAAL, line: { name: '2' }, stops: 1 }), false);
+      // No journey is known for line 13
+      assert.equal(await condition.run({ station: CENTRAAL, line: { name: '13' }, stops: 10 }), false);
+    });
+
+    it('fails instead of answering when the vehicle can\'t be followed', async () => {
+      await card('departure_within_minutes').run({ station: CENTRAAL, minutes: 10 });
+      server.failNext(403);
+
+      await assert.rejects(
+        card('vehicle_is_within_stops').run({ station: CENTRAAL, line: { name: '2' }, stops: 2 }),
+        { message: 'Departure information is currently unavailable' },
+      );
+    });
+
+    it('checks for a departure within minutes', async () => {
+      const condition = card('departure_within_minutes');
+
+      assert.equal(await condition.run({ station: CENTRAAL, destination: { name: 'Nieuw Sloten' }, minutes: 10 }), true);
+      assert.equal(await condition.run({ station: CENTRAAL, destination: { name: 'Nieuw Sloten' }, minutes: 2 }), false);
+      assert.equal(await condition.run({ station: CENTRAAL, transport_type: 'bus', minutes: 10 }), false);
+      assert.equal(await condition.run({ station: CENTRAAL, transport_type: 'bus', minutes: 30 }), true);
+      assert.equal(await condition.run({ station: MUIDERPOORT, minutes: 60 }), false);
+    });
+
+    it('checks for delays', async () => {
+      const condition = card('is_delayed');
+
+      assert.equal(await condition.run({ station: CENTRAAL, line: { name: '2' }, minutes: 5 }), true);
+      assert.equal(await condition.run({ station: CENTRAAL, line: { name: '2' }, minutes: 6 }), false);
+      assert.equal(await condition.run({ station: CENTRAAL, line: { name: '22' }, minutes: 1 }), false);
+    });
+
+    it('checks for cancellations', async () => {
+      const condition = card('is_cancelled');
+
+      assert.equal(await condition.run({ station: CENTRAAL, line: { name: '13' }, minutes: 15 }), true);
+      assert.equal(await condition.run({ station: CENTRAAL, line: { name: '2' }, minutes: 60 }), false);
+    });
+
+    it('checks for cancellations beyond the first departures of a busy stop', async () => {
+      await crowdCentraal(10);
+      assert.equal(await card('is_cancelled').run({ station: CENTRAAL, line: { name: '13' }, minutes: 15 }), true);
+    });
+
+    it('fails instead of answering when there is no data', async () => {
+      await assert.rejects(
+        card('departure_within_minutes').run({ station: { id: 'broken' }, minutes: 10 }),
+        { message: 'Departure information is currently unavailable' },
+      );
+    });
+
+    it('checks for active disruptions', async () => {
+      const condition = card('has_disruption');
+
+      assert.equal(await condition.run({ station: CENTRAAL }), true);
+      assert.equal(await condition.run({ station: MUIDERPOORT }), false);
+    });
+
+    it('checks the departures of a stop group', async () => {
+      const condition = card('departure_within_minutes');
+      const group = { id: 'group:home' };
+      const walk = minutes => homey.settings.set('stopGroups', [{
+        id: group.id,
+        name: 'Home',
+        stops: [{ id: 'asdmui', walk_minutes: 0 }, { id: 'asdcs', walk_minutes: minutes }],
+      }]);
+
+      walk(3);
+      assert.equal(await condition.run({ station: group, line: { name: '2' }, minutes: 10 }), true);
+
+      // Both trams leave within 30 minutes, too soon to walk there
+      walk(30);
+      assert.equal(await condition.run({ station: group, line: { name: '2' }, minutes: 60 }), false);
+    });
+
+    it('checks whether a line is usually late at this hour', async () => {
+      const condition = card('usually_late');
+      const day = 24 * 60 * 60 * 1000;
+      app.history.entries = [3, 6, 0, 8].map((delay, i) => ({
+        stop: 'asdcs', line: '2', planned: Date.now() - (i + 1) * 7 * day, delay, cancelled: false,
+      }));
+
+      assert.equal(await condition.run({ station: CENTRAAL, line: { name: '2' }, minutes: 2 }), true);
+      assert.equal(await condition.run({ station: CENTRAAL, line: { name: '2' }, minutes: 5 }), false);
+      // Too few recorded departures
+      assert.equal(await condition.run({ station: CENTRAAL, line: { name: '13' }, minutes: 0 }), false);
+    });
+
+    it('checks whether the data is fresh', async () => {
+      const condition = card('data_is_fresh');
+
+      assert.equal(await condition.run({ station: CENTRAAL, minutes: 1 }), true);
+      assert.equal(await condition.run({ station: { id: 'broken' }, minutes: 1 }), false);
+    });
+  });
+
+  describe('actions', () => {
+    it('returns the next matching departure', async () => {
+      const tokens = await card('get_departure_info').run({ station: CENTRAAL, line: { name: '13' } });
+
+      assert.equal(tokens.line, '13');
+      assert.equal(tokens.destination, 'Geuzenveld');
+      assert.equal(tokens.delay_minutes, 2);
+      assert.equal(tokens.status, 'planned');
+      assert.equal(tokens.data_age_seconds, 0);
+    });
+
+    it('returns a later matching departure', async () => {
+      const tokens = await card('get_departure_info').run({ station: CENTRAAL, index: '2', line: { name: '2' } });
+
+      assert.equal(tokens.delay_minutes, 6);
+      assert.equal((await card('get_departure_info').run({ station: CENTRAAL, index: '3', line: { name: '2' } })).line, '');
+    });
+
+    it('lists departures as JSON and numbered tokens', async () => {
+      const tokens = await card('get_departure_list').run({ station: CENTRAAL, count: 3 });
+
+      assert.equal(tokens.count, 3);
+      assert.deepEqual(JSON.parse(tokens.departures_json).map(dep => dep.line), ['2', '2', '13']);
+      assert.equal(tokens.line_2, '2');
+      assert.equal(tokens.destination_3, 'Geuzenveld');
+      assert.ok(tokens.minutes_until_1 <= tokens.minutes_until_2);
+      assert.equal(tokens.line_4, '');
+      assert.equal(tokens.minutes_until_5, 0);
+    });
+
+    it('returns the next arrival from an origin', async () => {
+      const action = card('get_arrival_info');
+      const tokens = await action.run({ station: CENTRAAL, origin: MUIDERPOORT, line: { name: '2' } });
+
+      assert.equal(tokens.origin, 'Muiderpoortstation');
+      assert.equal(tokens.destination, 'Nieuw Sloten');
+      assert.match(tokens.expected_arrival_time, /^\d{2}:\d{2}$/);
+
+      const none = await action.run({ station: CENTRAAL, origin: MUIDERPOORT, line: { name: '22' } });
+      assert.equal(none.line, '');
+    });
+
+    it('plans a journey with a transfer', async () => {
+      const tokens = await card('plan_journey').run({ from: CENTRAAL, to: { id: 'asdosd' }, walking_minutes: 0 });
+
+      assert.equal(tokens.transfers, 1);
+      assert.match(tokens.legs, / \| 15 Nieuw Sloten \d{2}:\d{2} → Osdorpplein \d{2}:\d{2}$/);
+      assert.equal(tokens.leave_time, tokens.departure_time);
+      assert.equal(tokens.data_age_seconds, 0);
+    });
+
+    it('plans the latest journey that arrives in time', async () => {
+      const action = card('plan_journey');
+      const arriveBy = AmsterdamTime.formatTime(Date.now() + 60 * 60 * 1000);
+
+      const first = await action.run({ from: CENTRAAL, to: { id: 'asdnsl' } });
+      const latest = await action.run({ from: CENTRAAL, to: { id: 'asdnsl' }, arrive_by: arriveBy });
+
+      // Both trams arrive in time, the second one leaves later
+      assert.ok(first.minutes_until_leave <= 5);
+      assert.ok(latest.minutes_until_leave >= 20);
+      assert.equal(latest.transfers, 0);
+    });
+
+    it('returns empty tokens without a matching departure', async () => {
+      const tokens = await card('get_departure_info').run({ station: CENTRAAL, transport_type: 'ferry' });
+      assert.equal(tokens.line, '');
+    });
+
+    it('returns punctuality stats', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      app.history.entries = [
+        { stop: 'asdcs', line: '2', planned: Date.now() - day, delay: 0, cancelled: false },
+        { stop: 'asdcs', line: '2', planned: Date.now() - 2 * day, delay: 3, cancelled: false },
+        { stop: 'asdcs', line: '2', planned: Date.now() - 2 * day, delay: 0, cancelled: true },
+        { stop: 'asdcs', line: '2', planned: Date.now() - 20 * day, delay: 9, cancelled: false },
+      ];
+
+      assert.deepEqual(await card('get_punctuality_stats').run({ station: CENTRAAL, line: { name: '2' }, days: 7 }), {
+        departure_count: 3,
+        average_delay: 1.5,
+        on_time_percentage: 50,
+        cancelled_count: 1,
+      });
+    });
+
+    it('summarizes departures', async () => {
+      const { summary, departures_json: json } = await card('get_departure_summary')
+        .run({ station: CENTRAAL, line: { name: '2' }, count: 2 });
+
+      assert.match(summary, /^Tram 2 to Nieuw Sloten in \d+ minutes, then in \d+ minutes \(6 min late\)\.$/);
+      assert.equal(JSON.parse(json).length, 2);
+    });
+  });
+
+  describe('autocomplete', () => {
+    it('suggests stops', async () => {
+      const results = await card('departure_soon').autocompleteListeners.station('muiderpoort', {});
+      assert.equal(results[0].id, 'asdmui');
+    });
+
+    it('suggests stop groups for stations but not for journeys', async () => {
+      await card('add_stop_to_group').run({ group: 'Home', station: CENTRAAL, walk_minutes: 2 });
+
+      const stations = await card('departure_soon').autocompleteListeners.station('home', {});
+      const from = await card('time_to_leave').autocompleteListeners.from('home', {});
+
+      assert.equal(stations[0].id, 'group:home');
+      assert.ok(!from.some(result => result.id === 'group:home'));
+    });
+
+    it('suggests destinations of the selected stop', async () => {
+      const results = await card('departure_soon').autocompleteListeners.destination('sloten', { station: CENTRAAL });
+      assert.deepEqual(results.map(r => r.name), ['sloten', 'Nieuw Sloten']);
+    });
+  });
+
+  describe('_checkTriggers', () => {
+    const poll = () => app._checkTriggers();
+    const fired = id => card(id).triggered.filter(event => event.matched.length > 0);
+
+    // Change the delay of a cached departure at Centraal, as the next poll would see it
+    const setJourneyDelay = (journeyId, minutes) => {
+      const dep = app.api.departuresCache.get('asdcs').data.find(d => d.journey_id === journeyId);
+      dep.timestamp += (minutes - dep.delay_minutes) * 60 * 1000;
+      dep.delay_minutes = minutes;
+      dep.expected_time = AmsterdamTime.formatTime(dep.timestamp);
+    };
+
+    it('fires departure soon once per departure in "once" mode', async () => {
+      card('departure_soon').args = [
+        { station: CENTRAAL, destination: { name: 'Nieuw Sloten' }, minutes: 30, trigger_mode: 'once' },
+      ];
+
+      await poll();
+      await poll();
+      await poll();
+
+      const events = fired('departure_soon');
+      assert.equal(events.length, 2);
+      assert.notEqual(events[0].tokens.expected_time, events[1].tokens.expected_time);
+      assert.ok(events[0].tokens.minutes_until <= 5);
+    });
+
+    it('fires departure soon on every poll in "continuous" mode', async () => {
+      card('departure_soon').args = [
+        { station: CENTRAAL, destination: { name: 'Nieuw Sloten' }, minutes: 30, trigger_mode: 'continuous' },
+      ];
+
+      await poll();
+      await poll();
+      await poll();
+
+      const events = fired('departure_soon');
+      assert.equal(events.length, 3);
+      assert.ok(events.every(event => event.tokens.planned_time === events[0].tokens.planned_time));
+    });
+
+    it('fires departure soon for a stop group and its stop separately', async () => {
+      homey.settings.set('stopGroups', [{ id: 'group:home', name: 'Home', stops: [{ id: 'asdcs', walk_minutes: 0 }] }]);
+      const group = { station: { id: 'group:home' }, line: { name: '2' }, minutes: 10, trigger_mode: 'once' };
+      const stop = { station: CENTRAAL, line: { name: '2' }, minutes: 10, trigger_mode: 'once' };
+      card('departure_soon').args = [group, stop];
+
+      await poll();
+      await poll();
+
+      const events = fired('departure_soon');
+      assert.deepEqual(events.map(event => event.matched), [[group], [stop]]);
+    });
+
+    it('only runs the flows whose arguments match', async () => {
+      const bus = { station: CENTRAAL, transport_type: 'bus', minutes: 30, trigger_mode: 'once' };
+      const otherStop = { station: MUIDERPOORT, minutes: 30, trigger_mode: 'once' };
+      card('departure_soon').args = [bus, otherStop];
+
+      await poll();
+
+      const [event] = fired('departure_soon');
+      assert.equal(event.tokens.line, '22');
+      assert.deepEqual(event.matched, [bus]);
+    });
+
+    it('fires delayed once per departure', async () => {
+      card('departure_delayed').args = [
+        { station: CENTRAAL, min_delay: 5, trigger_mode: 'once' },
+      ];
+
+      await poll();
+      await poll();
+
+      const events = fired('departure_delayed');
+      assert.equal(events.length, 1);
+      assert.equal(events[0].tokens.line, '2');
+      assert.equal(events[0].tokens.delay_minutes, 6);
+    });
+
+    describe('delay changes', () => {
+      const setDelay = minutes => setJourneyDelay('GVB_20251214_2_201_0', minutes);
+
+      it('fires delay increased for a delay that grows a little each poll', async () => {
+        card('delay_increased').args = [{ station: CENTRAAL, minutes: 3 }];
+
+        await poll();
+        for (const minutes of [2, 4, 5, 7]) {
+          setDelay(minutes);
+          await poll();
+        }
+
+        const events = fired('delay_increased');
+        assert.deepEqual(events.map(event => [event.tokens.old_delay, event.tokens.new_delay]), [[0, 4], [4, 7]]);
+      });
+
+      it('measures increases separately for each number of minutes', async () => {
+        const small = { station: CENTRAAL, minutes: 1 };
+        const large = { station: CENTRAAL, minutes: 5 };
+        card('delay_increased').args = [small, large];
+
+        await poll();
+        setDelay(3);
+        await poll();
+        setDelay(6);
+        await poll();
+
+        const events = fired('delay_increased');
+        assert.deepEqual(events.map(event => event.matched), [[small], [small], [large]]);
+      });
+
+      it('fires back on time when a delay is gone', async () => {
+        card('departure_back_on_time').args = [{ station: CENTRAAL, line: { name: '2' } }];
+
+        await poll();
+        setDelay(3);
+        await poll();
+        setDelay(0);
+        await poll();
+
+        const [event] = fired('departure_back_on_time');
+        assert.equal(event.tokens.old_delay, 3);
+        assert.equal(event.tokens.new_delay, 0);
+        assert.equal(fired('departure_back_on_time').length, 1);
+      });
+
+      it('tracks a stop group apart from its stops', async () => {
+        homey.settings.set('stopGroups', [{ id: 'group:home', name: 'Home', stops: [{ id: 'asdcs', walk_minutes: 0 }] }]);
+        const group = { station: { id: 'group:home' }, line: { name: '2' } };
+        const stop = { station: CENTRAAL, line: { name: '2' } };
+        card('departure_back_on_time').args = [group, stop];
+
+        await poll();
+        setDelay(3);
+        await poll();
+        setDelay(0);
+        await poll();
+
+        const events = fired('departure_back_on_time');
+        assert.deepEqual(events.map(event => event.matched), [[group], [stop]]);
+      });
+
+      it('fires expected time changed with the old and new time', async () => {
+        card('expected_time_changed').args = [{ station: CENTRAAL }];
+
+        await poll();
+        const before = app.api.departuresCache.get('asdcs').data[0].expected_time;
+        setDelay(2);
+        await poll();
+        await poll();
+
+        const events = fired('expected_time_changed');
+        assert.equal(events.length, 1);
+        assert.equal(events[0].tokens.old_expected_time, before);
+        assert.notEqual(events[0].tokens.expected_time, before);
+      });
+    });
+
+    it('fires delayed again once the delay grew by the re-arm minutes', async () => {
+      const rearm = { station: CENTRAAL, min_delay: 5, trigger_mode: 'once', rearm_minutes: 3 };
+      const plain = { station: CENTRAAL, min_delay: 5, trigger_mode: 'once' };
+      card('departure_delayed').args = [rearm, plain];
+
+      await poll();
+      setJourneyDelay('GVB_20251214_2_203_0', 8);
+      await poll();
+      setJourneyDelay('GVB_20251214_2_203_0', 9);
+      await poll();
+
+      const events = fired('departure_delayed');
+      assert.deepEqual(events.map(event => event.tokens.delay_minutes), [6, 9]);
+      assert.deepEqual(events[0].matched, [rearm, plain]);
+      assert.deepEqual(events[1].matched, [rearm]);
+    });
+
+    it('fires time to leave once per journey', async () => {
+      const args = { from: CENTRAAL, to: { id: 'asdosd' }, walking_minutes: 2, minutes: 10, trigger_mode: 'once' };
+      card('time_to_leave').args = [args];
+
+      await poll();
+      await poll();
+
+      const events = fired('time_to_leave');
+      assert.equal(events.length, 1);
+      assert.equal(events[0].tokens.transfers, 1);
+      assert.match(events[0].tokens.legs, /^2 Centraal Station \d{2}:\d{2} → Nieuw Sloten \d{2}:\d{2} \| 15 Nieuw Sloten/);
+      assert.ok(events[0].tokens.minutes_until_leave <= 3);
+    });
+
+    it('only runs the time to leave flows whose settings fired', async () => {
+      const early = { from: CENTRAAL, to: { id: 'asdnsl' }, minutes: 60, trigger_mode: 'once' };
+      const late = { from: CENTRAAL, to: { id: 'asdnsl' }, minutes: 0, trigger_mode: 'once' };
+      const walking = { from: CENTRAAL, to: { id: 'asdnsl' }, walking_minutes: 2, minutes: 60, trigger_mode: 'once' };
+      card('time_to_leave').args = [early, late, walking];
+
+      await poll();
+
+      const events = fired('time_to_leave');
+      assert.deepEqual(events.map(event => event.matched), [[early], [walking]]);
+      assert.equal(events[1].tokens.minutes_until_leave, events[0].tokens.minutes_until_leave - 2);
+    });
+
+    it('waits with time to leave until the journey is near', async () => {
+      card('time_to_leave').args = [{ from: CENTRAAL, to: { id: 'asdnsl' }, minutes: 1, trigger_mode: 'once' }];
+      await poll();
+      assert.equal(fired('time_to_leave').length, 0);
+    });
+
+    it('fires cancelled for cancelled trips', async () => {
+      card('departure_cancelled').args = [
+        { station: CENTRAAL, minutes: 15, trigger_mode: 'once' },
+      ];
+
+      await poll();
+
+      const events = fired('departure_cancelled');
+      assert.equal(events.length, 1);
+      assert.equal(events[0].tokens.destination, 'Geuzenveld');
+    });
+
+    it('fires cancelled beyond the first departures of a busy stop', async () => {
+      await crowdCentraal(10);
+      card('departure_cancelled').args = [{ station: CENTRAAL, line: { name: '13' }, trigger_mode: 'once' }];
+
+      await poll();
+
+      assert.equal(fired('departure_cancelled').length, 1);
+    });
+
+    it('fires new disruption once per message', async () => {
+      card('new_disruption').args = [{ station: CENTRAAL }, { station: MUIDERPOORT }];
+
+      await poll();
+      await poll();
+
+      const events = fired('new_disruption');
+      assert.deepEqual(events.map(event => event.tokens.lines).sort(), ['2, 13', '22']);
+      assert.ok(events.every(event => event.matched.length === 1 && event.matched[0].station === CENTRAAL));
+
+      const detour = events.find(event => event.tokens.lines === '22');
+      assert.equal(detour.tokens.message, 'Bus 22 rijdt een omleiding.');
+      assert.match(detour.tokens.start, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/);
+      assert.equal(detour.tokens.end, '');
+    });
+
+    it('fires platform changed once per new platform', async () => {
+      card('platform_changed').args = [{ station: UTRECHT }, { station: CENTRAAL }];
+
+      await poll();
+      await poll();
+
+      const events = fired('platform_changed');
+      assert.equal(events.length, 1);
+      assert.equal(events[0].tokens.destination, 'Den Haag Centraal');
+      assert.equal(events[0].tokens.old_platform, '7');
+      assert.equal(events[0].tokens.new_platform, '7a');
+      assert.deepEqual(events[0].matched, [{ station: UTRECHT }]);
+    });
+
+    it('fires vehicle within stops once per departure and number of stops', async () => {
+      const near = { station: CENTRAAL, line: { name: '2' }, stops: 2 };
+      const far = { station: CENTRAAL, line: { name: '2' }, stops: 5 };
+      card('vehicle_within_stops').args = [near, far];
+
+      await poll();
+      await poll();
+
+      const events = fired('vehicle_within_stops');
+      assert.equal(events.length, 2);
+      assert.ok(events.every(event => event.matched.length === 1));
+      assert.equal(events[0].tokens.stops_away, 2);
+      assert.equal(events[0].tokens.current_stop, 'Artis');
+    });
+
+    it('only fires vehicle within 0 stops for flows set to 0 stops', async () => {
+      const args = { station: CENTRAAL, stops: 0 };
+      const state = { stationId: 'asdcs', line: '2', destination: 'Nieuw Sloten', transport_type: 'tram' };
+
+      assert.equal(await card('vehicle_within_stops').run(args, { ...state, maxStops: 0 }), true);
+      assert.equal(await card('vehicle_within_stops').run(args, { ...state, maxStops: 1 }), false);
+    });
+
+    it('fires arriving soon once per vehicle from the origin', async () => {
+      const soon = { station: CENTRAAL, origin: MUIDERPOORT, minutes: 10 };
+      const later = { station: CENTRAAL, origin: MUIDERPOORT, minutes: 30 };
+      card('arriving_soon').args = [soon, later];
+
+      await poll();
+      await poll();
+
+      const events = fired('arriving_soon');
+      assert.deepEqual(events.map(event => event.matched[0]), [soon, later, later]);
+      assert.equal(events[0].tokens.origin, 'Muiderpoortstation');
+      assert.ok(events[0].tokens.minutes_until <= 10);
+    });
+
+    it('skips instances outside their active window', async () => {
+      const hours = h => AmsterdamTime.formatTime(Date.now() + h * 60 * 60 * 1000);
+      const later = {
+        station: CENTRAAL, minutes: 30, trigger_mode: 'once', active_from: hours(2), active_until: hours(3),
+      };
+      const now = {
+        station: MUIDERPOORT, minutes: 30, trigger_mode: 'once', active_from: hours(-1), active_until: hours(1),
+      };
+      card('departure_soon').args = [later, now];
+
+      await poll();
+
+      assert.equal(fired('departure_soon').length, 0);
+      assert.deepEqual(await app._getWatchedStopIds(), ['asdmui']);
+      assert.ok(!server.requests.some(url => url.includes('asdcs')));
+    });
+
+    it('pauses departure triggers in holiday mode', async () => {
+      card('departure_soon').args = [{ station: CENTRAAL, minutes: 30, trigger_mode: 'once' }];
+      card('new_disruption').args = [{ station: CENTRAAL }];
+
+      await card('set_holiday_mode').run({ mode: 'on' });
+      assert.equal(await card('holiday_mode_is_on').run({}), true);
+
+      await poll();
+      assert.equal(fired('departure_soon').length, 0);
+      assert.equal(fired('new_disruption').length, 2);
+
+      await card('set_holiday_mode').run({ mode: 'off' });
+      await poll();
+      assert.equal(fired('departure_soon').length, 1);
+    });
+
+    it('remembers triggered departures across restarts', async () => {
+      card('departure_delayed').args = [
+        { station: CENTRAAL, min_delay: 5, trigger_mode: 'once' },
+      ];
+      await poll();
+      assert.ok(homey.settings.get('triggeredDepartures').delayed);
+
+      await app.onUninit();
+      app = await createApp(homey);
+      card('departure_delayed').triggered = [];
+
+      await poll();
+      assert.equal(fired('departure_delayed').length, 0);
+    });
+
+    it('keeps checking other stops when one has no data', async () => {
+      card('departure_soon').args = [
+        { station: { id: 'broken' }, minutes: 30, trigger_mode: 'once' },
+        { station: CENTRAAL, minutes: 30, trigger_mode: 'once' },
+      ];
+
+      await poll();
+
+      assert.equal(fired('departure_soon').length, 1);
+    });
+  });
+
+  describe('getWidgetDepartures', () => {
+    it('fetches the stops of a stop group on the widget', async () => {
+      await card('add_stop_to_group').run({ group: 'Home', station: CENTRAAL, walk_minutes: 2 });
+
+      const [group, stop] = await app.getWidgetDepartures(['group:home', 'asdmui'], 5);
+
+      assert.deepEqual(server.requests.filter(url => url !== '/stopareacode/'), ['/stopareacode/asdcs,asdmui']);
+      assert.equal(group.departures[0].stop_id, 'asdcs');
+      assert.equal(group.error, undefined);
+      assert.deepEqual(stop.departures, []);
+      assert.equal(app.api.health.getStop('group:home'), null);
+    });
+
+    it('serves polled stops from the cache until the next poll', async () => {
+      app.scheduler.interval = 5 * 60 * 1000;
+      await app.getWidgetDepartures(['asdcs'], 5);
+      app.api.departuresCache.get('asdcs').time -= 2 * 60 * 1000;
+
+      const [result] = await app.getWidgetDepartures(['asdcs', 'asdmui'], 5);
+
+      assert.equal(result.departures.length, 5);
+      assert.deepEqual(server.requests.filter(url => url !== '/stopareacode/'), [
+        '/stopareacode/asdcs',
+        '/stopareacode/asdmui',
+      ]);
+    });
+  });
+
+  describe('Web API', () => {
+    const webApi = require('../api');
+
+    it('searches stops and stop groups', async () => {
+      await card('add_stop_to_group').run({ group: 'Home', station: CENTRAAL, walk_minutes: 2 });
+
+      const results = await webApi.searchStops({ homey, query: { query: 'home' } });
+      assert.equal(results[0].id, 'group:home');
+      assert.equal((await webApi.searchStops({ homey, query: { query: 'muiderpoort' } }))[0].id, 'asdmui');
+    });
+
+    it('returns departures with the normalized fields', async () => {
+      const departures = await webApi.getDepartures({ homey, query: { stop: 'asdcs', limit: '2' } });
+
+      assert.equal(departures.length, 2);
+      assert.equal(departures[0].line, '2');
+      assert.ok(departures[0].journey_id);
+      assert.equal(typeof departures[0].minutes_until, 'number');
+      assert.equal(departures[0].stale, false);
+    });
+
+    it('serves repeated requests from the shared cache and polls the stop', async () => {
+      app.scheduler.interval = 60 * 1000;
+      await webApi.getDepartures({ homey, query: { stop: 'asdcs' } });
+      app.api.departuresCache.get('asdcs').time -= 45 * 1000;
+      await webApi.getDepartures({ homey, query: { stop: 'asdcs' } });
+
+      assert.equal(server.requests.filter(url => url === '/stopareacode/asdcs').length, 1);
+      assert.ok((await app._getWatchedStopIds()).includes('asdcs'));
+    });
+
+    it('returns the departures of a stop group', async () => {
+      await card('add_stop_to_group').run({ group: 'Home', station: MUIDERPOORT, walk_minutes: 0 });
+      await card('add_stop_to_group').run({ group: 'Home', station: CENTRAAL, walk_minutes: 3 });
+
+      const departures = await webApi.getDepartures({ homey, query: { stop: 'group:home' } });
+      assert.ok(departures.some(dep => dep.stop_id === 'asdcs'));
+      assert.ok((await app._getWatchedStopIds()).includes('asdmui'));
+    });
+
+    it('refuses unknown stops instead of polling them', async () => {
+      for (const stop of ['nope', 'group:nope', 'tpc:nope', 'ns:NOPE']) {
+        await assert.rejects(webApi.getDepartures({ homey, query: { stop } }), { message: 'Unknown stop' });
+      }
+      assert.equal(app.requestedStopIds.size, 0);
+
+      assert.ok(await app.api.isKnownStop('ns:UT'));
+      assert.ok(await app.api.isKnownStop('tpc:30001003'));
+    });
+
+    it('refuses unknown stops in stop groups', async () => {
+      const body = { group: 'Home', stop: { id: 'madeup', name: 'Made up' }, walk_minutes: 0 };
+      await assert.rejects(webApi.addStopToGroup({ homey, body }), { message: 'Unknown stop' });
+      await assert.rejects(
+        card('add_stop_to_group').run({ group: 'Home', station: { id: 'madeup' }, walk_minutes: 0 }),
+        { message: 'Unknown stop' },
+      );
+      assert.deepEqual(await webApi.getStopGroups({ homey }), []);
+
+      const groups = await webApi.addStopToGroup({ homey, body: { ...body, stop: MUIDERPOORT } });
+      assert.deepEqual(groups[0].stops.map(stop => stop.id), ['asdmui']);
+    });
+
+    it('keeps a bounded number of requested stops', async () => {
+      const stopIds = Array.from({ length: 25 }, (_, i) => `stop${i}`);
+      app._requestStops(stopIds);
+      app._requestStops(['stop0']);
+
+      assert.equal(app.requestedStopIds.size, 20);
+      assert.ok(app.requestedStopIds.has('stop0'));
+      assert.ok(!app.requestedStopIds.has('stop5'));
+      assert.ok(app.requestedStopIds.has('stop24'));
+    });
+
+    it('reports the caches and polled stops', async () => {
+      app.scheduler.stopIds = ['asdcs'];
+      await webApi.getDepartures({ homey, query: { stop: 'asdcs' } });
+
+      const status = await webApi.getStatus({ homey });
+      assert.equal(status.caches.departures, 1);
+      assert.deepEqual(status.requestedStops, ['asdcs']);
+      assert.equal(status.polledStops[0].dataAge, 0);
+    });
+  });
+
+  describe('_recordPunctuality', () => {
+    it('logs the delay of departed vehicles to Insights', async () => {
+      app.scheduler.stopIds = ['asdcs'];
+      const planned = Date.now() - 10 * 60 * 1000;
+      app.history.pending.set('gone', {
+        stop: 'asdcs', line: '2', planned, timestamp: planned + 4 * 60 * 1000, delay: 4, cancelled: false,
+      });
+
+      await app._recordPunctuality();
+
+      const log = homey.insights.logs.get('delay_asdcs_2');
+      assert.deepEqual(log.entries, [4]);
+      assert.equal(log.options.title, 'Delay of line 2 at Centraal Station');
+      assert.equal(homey.settings.get('punctualityHistory').length, 1);
+      // Upcoming departures are followed until they leave
+      assert.ok(app.history.pending.size > 0);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const FakeOvapi = require('./fakeOvapi');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'ns');
+
+/**
+ * Local stand-in for the NS travel information API, serving recorded
+ * responses from `test/fixtures/ns` the same way as `FakeOvapi`.
+ *
+ * `/api/v2/stations` serves `stations.json`, `/api/v2/departures?station=<code>`
+ * serves `departures-<code>.json`. Requests without a subscription key get
+ * a 401, like the real API.
+ */
+class FakeNs extends FakeOvapi {
+  _handle(req, res) {
+    this.requests.push(req.url);
+
+    if (this.failures.length > 0) {
+      res.statusCode = this.failures.shift();
+      res.end();
+      return;
+    }
+
+    if (!req.headers['ocp-apim-subscription-key']) {
+      res.statusCode = 401;
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, this.url);
+    const endpoint = path.basename(url.pathname);
+    const station = url.searchParams.get('station');
+    const file = path.join(FIXTURES, `${station ? `${endpoint}-${station}` : endpoint}.json`);
+
+    if (!fs.existsSync(file)) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(this._shift(fixture.response, fixture.recordedAt)));
+  }
+}
+
+module.exports = FakeNs;
@@ -0,0 +1,105 @@
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const AmsterdamTime = require('../../lib/AmsterdamTime');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'ovapi');
+
+/**
+ * Local stand-in for the OV API, serving recorded responses from
+ * `test/fixtures/ovapi`. A fixture holds the response and the Amsterdam
+ * time it was recorded at; all times in it are shifted so the recording
+ * looks like it was made just now. Fixtures that aren't valid JSON are
+ * served as they are.
+ *
+ * `/stopareacode/` serves `stopareacode.json`, `/stopareacode/<codes>`
+ * merges `stopareacode-<code>.json` of each comma-separated code.
+ */
+class FakeOvapi {
+  constructor() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    this.requests = [];
+    this.failures = [];
+    this.url = null;
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Answer the next `count` requests with an HTTP error status.
+   */
+  failNext(statusCode, count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.failures.push(statusCode);
+    }
+  }
+
+  reset() {
+    this.requests = [];
+    this.failures = [];
+  }
+
+  _handle(req, res) {
+    this.requests.push(req.url);
+
+    if (this.failures.length > 0) {
+      res.statusCode = this.failures.shift();
+      res.end();
+      return;
+    }
+
+    const [, endpoint, codes] = req.url.split('/');
+    const names = codes
+      ? codes.split(',').map(code => `${endpoint}-${code}`)
+      : [endpoint];
+
+    const response = {};
+    for (const name of names) {
+      const file = path.join(FIXTURES, `${name}.json`);
+      if (!fs.existsSync(file)) continue;
+
+      const content = fs.readFileSync(file, 'utf8');
+      let fixture;
+      try {
+        fixture = JSON.parse(content);
+      } catch (error) {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(content);
+        return;
+      }
+
+      Object.assign(response, this._shift(fixture.response, fixture.recordedAt));
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(response));
+  }
+
+  /**
+   * Move all times in a recorded response forward to now, in whole minutes.
+   */
+  _shift(response, recordedAt) {
+    const offset = Math.floor((Date.now() - AmsterdamTime.parse(recordedAt)) / 60000) * 60000;
+
+    return JSON.parse(JSON.stringify(response), (key, value) => {
+      if (!key.endsWith('Time') || typeof value !== 'string') return value;
+
+      const timestamp = AmsterdamTime.parse(value) + offset;
+      return `${AmsterdamTime.formatDate(timestamp)}T${AmsterdamTime.formatTime(timestamp)}:00`;
+    });
+  }
+}
+
+module.exports = FakeOvapi;
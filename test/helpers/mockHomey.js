@@ -0,0 +1,225 @@
+'use strict';
+
+const Module = require('module');
+const path = require('path');
+
+const locales = require('../../locales/en.json');
+
+/**
+ * Flow card that records what it was asked to do. `trigger()` runs the run
+ * listener against every configured instance in `args`, like Homey does, and
+ * remembers the instances that matched.
+ */
+class MockFlowCard {
+  constructor(id) {
+    this.id = id;
+    this.args = [];
+    this.triggered = [];
+    this.runListener = null;
+    this.autocompleteListeners = {};
+  }
+
+  registerRunListener(listener) {
+    this.runListener = listener;
+    return this;
+  }
+
+  registerArgumentAutocompleteListener(name, listener) {
+    this.autocompleteListeners[name] = listener;
+    return this;
+  }
+
+  registerSettingAutocompleteListener(name, listener) {
+    return this.registerArgumentAutocompleteListener(name, listener);
+  }
+
+  async getArgumentValues() {
+    return this.args;
+  }
+
+  async trigger(tokens, state) {
+    const matched = [];
+    for (const args of this.args) {
+      if (!this.runListener || await this.runListener(args, state)) {
+        matched.push(args);
+      }
+    }
+    this.triggered.push({ tokens, state, matched });
+  }
+
+  /**
+   * Run the card for one instance, as a flow would.
+   */
+  run(args, state = {}) {
+    return this.runListener(args, state);
+  }
+}
+
+/**
+ * Translate a key from the English locale, with `__name__` interpolation.
+ */
+function translate(key, tokens = {}) {
+  const text = key.split('.').reduce((section, part) => section?.[part], locales);
+  if (typeof text !== 'string') return key;
+  return text.replace(/__(\w+)__/g, (match, name) => (name in tokens ? tokens[name] : match));
+}
+
+/**
+ * Create the `homey` object an app gets from the Homey runtime, with the
+ * parts this app uses: settings, flow cards, widgets, Insights, timers and
+ * location.
+ * Timers are tracked so `destroy()` can clear what is left.
+ */
+function createHomey({ settings = {}, latitude = 52.37, longitude = 4.89 } = {}) {
+  const store = { ...settings };
+  const cards = new Map();
+  const logs = new Map();
+  const timers = new Set();
+
+  const getCard = (id) => {
+    if (!cards.has(id)) {
+      cards.set(id, new MockFlowCard(id));
+    }
+    return cards.get(id);
+  };
+
+  const track = (timer) => {
+    timers.add(timer);
+    return timer;
+  };
+
+  return {
+    app: null,
+    cards,
+    settings: {
+      get: key => (key in store ? store[key] : null),
+      set: (key, value) => {
+        store[key] = value;
+      },
+      unset: (key) => {
+        delete store[key];
+      },
+      getKeys: () => Object.keys(store),
+      on() {},
+    },
+    flow: {
+      getTriggerCard: getCard,
+      getConditionCard: getCard,
+      getActionCard: getCard,
+      getDeviceTriggerCard: getCard,
+    },
+    insights: {
+      logs,
+      getLog: async (id) => {
+        if (!logs.has(id)) throw new Error('Not found');
+        return logs.get(id);
+      },
+      createLog: async (id, options) => {
+        const log = {
+          id,
+          options,
+          entries: [],
+          async createEntry(value) {
+            this.entries.push(value);
+          },
+        };
+        logs.set(id, log);
+        return log;
+      },
+    },
+    dashboards: {
+      getWidget: getCard,
+    },
+    drivers: {
+      getDriver: () => ({ getDevices: () => [] }),
+    },
+    geolocation: {
+      getLatitude: () => latitude,
+      getLongitude: () => longitude,
+    },
+    i18n: {
+      getLanguage: () => 'en',
+    },
+    __: translate,
+    setTimeout: (callback, delay) => {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        callback();
+      }, delay);
+      return track(timer);
+    },
+    clearTimeout: (timer) => {
+      timers.delete(timer);
+      clearTimeout(timer);
+    },
+    setInterval: (callback, delay) => track(setInterval(callback, delay)),
+    clearInterval: (timer) => {
+      timers.delete(timer);
+      clearInterval(timer);
+    },
+    log() {},
+    error() {},
+    destroy() {
+      for (const timer of timers) {
+        clearTimeout(timer);
+      }
+      timers.clear();
+    },
+  };
+}
+
+/**
+ * The `homey` module is provided by the Homey runtime. Resolve it to a small
+ * stand-in with the base classes, so the app can be loaded in tests.
+ */
+const sdk = {
+  env: {},
+  App: class App {
+    log() {}
+    error() {}
+  },
+  Driver: class Driver {
+    log() {}
+    error() {}
+  },
+  Device: class Device {
+    log() {}
+    error() {}
+  },
+};
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function resolve(request, ...args) {
+  if (request === 'homey') return path.join(__dirname, 'homeySdk');
+  return resolveFilename.call(this, request, ...args);
+};
+require.cache[path.join(__dirname, 'homeySdk')] = {
+  id: 'homey',
+  filename: path.join(__dirname, 'homeySdk'),
+  loaded: true,
+  exports: sdk,
+};
+
+/**
+ * Start the app against a `homey` object, without its own polling loop so
+ * tests decide when to poll.
+ */
+async function createApp(homey) {
+  const OVApp = require('../../app');
+
+  const app = new OVApp();
+  app.homey = homey;
+  homey.app = app;
+
+  await app.onInit();
+  app.scheduler.stop();
+
+  return app;
+}
+
+module.exports = {
+  MockFlowCard,
+  createHomey,
+  createApp,
+  sdk,
+};
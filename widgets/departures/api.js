@@ -0,0 +1,11 @@
+'use strict';
+
+module.exports = {
+
+  async getDepartures({ homey, query }) {
+    const stopIds = (query.stops || '').split(',').filter(Boolean);
+    const limit = parseInt(query.limit, 10) || 5;
+    return homey.app.getWidgetDepartures(stopIds, limit);
+  },
+
+};